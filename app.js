@@ -24,6 +24,8 @@ const { errorHandler, notFound } = require('./middleware/errorHandler');
 const categoryRoutes = require('./routes/categoryRoutes');
 const bookRoutes = require('./routes/bookRoutes');
 const authRoutes = require('./routes/authRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const loanRoutes = require('./routes/loanRoutes');
 const { swaggerUi, specs } = require('./config/swagger');
 
 /**
@@ -49,6 +51,7 @@ const corsOptions = {
     'Content-Type', 
     'Accept',
     'Authorization',
+    'X-API-Key',
     'Cache-Control',
     'Pragma'
   ],
@@ -151,7 +154,13 @@ app.get('/', (req, res) => {
     endpoints: {
       categories: '/api/categories',
       books: '/api/books',
+      orders: '/api/orders',
+      loans: '/api/loans',
       authentication: '/auth/google',
+      register: '/auth/register',
+      login: '/auth/login',
+      token: '/auth/token',
+      apiKeys: '/auth/api-keys',
       profile: '/auth/profile',
       status: '/auth/status',
       health: '/health',
@@ -163,6 +172,8 @@ app.get('/', (req, res) => {
 // Rutas de la API
 app.use('/api/categories', categoryRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/loans', loanRoutes);
 app.use('/auth', authRoutes)
 
 /**
@@ -0,0 +1,104 @@
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Configuración de préstamos e inventario
+ * Propósito: Centraliza las reglas de la biblioteca; todas se pueden cambiar con variables de entorno
+ */
+
+/**
+ * Función para leer un entero de las variables de entorno
+ * Propósito: Usa el valor por defecto si la variable no existe o es menor al mínimo
+ */
+const readInt = (name, defaultValue, min = 1) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= min ? value : defaultValue;
+};
+
+const loanConfig = {
+  // Máximo de préstamos activos por usuario
+  maxActiveLoans: readInt('LOAN_MAX_ACTIVE', 3),
+
+  // Duración de un préstamo (y de cada renovación) en días
+  loanPeriodDays: readInt('LOAN_PERIOD_DAYS', 14),
+
+  // Número máximo de renovaciones por préstamo
+  maxRenewals: readInt('LOAN_MAX_RENEWALS', 2, 0),
+
+  // Días que se reserva un ejemplar al usuario notificado de una reserva
+  holdPickupDays: readInt('HOLD_PICKUP_DAYS', 3)
+};
+
+const inventoryConfig = {
+  // Punto de reorden para libros cuya categoría no define uno
+  defaultReorderThreshold: readInt('REORDER_THRESHOLD_DEFAULT', 5, 0)
+};
+
+const exportConfig = {
+  // Moneda de los precios en la exportación ONIX (código ISO 4217)
+  currency: process.env.EXPORT_CURRENCY || 'USD',
+
+  // Nombre del remitente en la cabecera ONIX
+  senderName: process.env.ONIX_SENDER_NAME || 'Digital Library'
+};
+
+const enrichmentConfig = {
+  // Archivo del proveedor bibliográfico local (metadatos por ISBN)
+  file: process.env.ENRICHMENT_FILE || path.join(__dirname, '..', 'data', 'bibliographic.json')
+};
+
+/**
+ * Función para leer el secreto de los JWT
+ * Propósito: Con un secreto conocido cualquiera podría firmar tokens válidos, así que
+ * fuera de desarrollo la API no arranca sin JWT_SECRET (o SESSION_SECRET). En desarrollo
+ * se genera uno aleatorio por proceso: los tokens dejan de valer al reiniciar
+ */
+const readTokenSecret = () => {
+  const secret = process.env.JWT_SECRET || process.env.SESSION_SECRET;
+  if (secret) return secret;
+
+  const environment = process.env.NODE_ENV || 'development';
+  if (environment !== 'development') {
+    throw new Error(`Falta JWT_SECRET: es obligatorio para firmar los tokens (NODE_ENV=${environment})`);
+  }
+
+  console.warn('⚠️  JWT_SECRET no está definido: se usa un secreto temporal y los tokens dejan de valer al reiniciar');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const tokenConfig = {
+  // Secreto para firmar los JWT
+  secret: readTokenSecret(),
+
+  // Emisor que se firma en los tokens y se exige al verificarlos
+  issuer: 'digital-library-api',
+
+  // Duración del token de acceso en minutos
+  accessTokenMinutes: readInt('ACCESS_TOKEN_MINUTES', 15),
+
+  // Duración del token de refresco en días (cada uso entrega uno nuevo)
+  refreshTokenDays: readInt('REFRESH_TOKEN_DAYS', 30)
+};
+
+const apiKeyConfig = {
+  // Permisos de config/permissions.js que se pueden asignar a una clave de API
+  scopes: [
+    'books:read', 'books:write', 'books:delete', 'stock:write',
+    'categories:read', 'categories:write', 'categories:delete'
+  ],
+
+  // Máximo de claves vigentes por usuario
+  maxKeysPerUser: readInt('API_KEYS_MAX_PER_USER', 10),
+
+  // Días máximos de vigencia de una clave (sin fecha de expiración, la clave no vence)
+  maxLifetimeDays: readInt('API_KEYS_MAX_DAYS', 365)
+};
+
+module.exports = {
+  loanConfig,
+  inventoryConfig,
+  exportConfig,
+  enrichmentConfig,
+  tokenConfig,
+  apiKeyConfig
+};
@@ -1,6 +1,11 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
 const User = require('../models/user');
+const { verifyAccessToken, getBearerToken } = require('../services/tokens');
+const { getApiKey, verifyApiKey } = require('../services/apiKeys');
+const { hasPermission } = require('./permissions');
+const { createError } = require('../middleware/errorHandler');
 
 /**
  * Configuración de Passport para autenticación OAuth con Google
@@ -29,12 +34,13 @@ passport.serializeUser((user, done) => {
 
 /**
  * Deserialización del usuario desde la sesión
- * Propósito: Recupera el usuario completo usando el ID almacenado en la sesión
+ * Propósito: Recupera el usuario completo usando el ID almacenado en la sesión.
+ * Si el usuario fue eliminado o desactivado, la sesión deja de ser válida
 */
 passport.deserializeUser(async (id, done) => {
   try {
     const user = await User.findById(id);
-    done(null, user);
+    done(null, user && user.isActive ? user : false);
   } catch (error) {
     done(error, null);
   }
@@ -53,6 +59,10 @@ passport.use(new GoogleStrategy({
     // Buscar si ya existe un usuario con este Google ID
     let user = await User.findByGoogleId(profile.id);
     
+    if (user && !user.isActive) {
+      return done(null, false, { message: 'La cuenta está desactivada' });
+    }
+    
     if (user) {
       // Usuario existente - actualizar última conexión
       await user.updateLastLogin();
@@ -62,8 +72,17 @@ passport.use(new GoogleStrategy({
     // Verificar si existe un usuario con el mismo email (para vincular cuentas)
     user = await User.findOne({ email: profile.emails[0].value });
     
+    if (user && !user.isActive) {
+      return done(null, false, { message: 'La cuenta está desactivada' });
+    }
+    
     if (user) {
-      // Vincular cuenta existente con Google
+      // Vincular cuenta existente con Google. Si el email de la cuenta local nunca se
+      // verificó, su contraseña se descarta: Google confirma quién es el dueño del email
+      // y quien la registró podría no serlo
+      if (!user.emailVerified) {
+        user.password = undefined;
+      }
       user.googleId = profile.id;
       user.provider = 'google';
       user.avatar = profile.photos[0].value;
@@ -94,11 +113,88 @@ passport.use(new GoogleStrategy({
   }
 }));
 
+/**
+ * Estrategia local (email y contraseña)
+ * Propósito: Inicio de sesión sin Google. Las cuentas creadas con Google no tienen
+ * contraseña hasta que el usuario agrega una, y reciben un mensaje específico.
+ * info.status indica el código HTTP que debe responder la ruta
+*/
+passport.use(new LocalStrategy({
+  usernameField: 'email'
+}, async (email, password, done) => {
+  try {
+    const user = await User.findByEmail(email.trim().toLowerCase());
+
+    if (!user) {
+      return done(null, false, { status: 401, message: 'Email o contraseña incorrectos' });
+    }
+
+    if (!user.password) {
+      return done(null, false, {
+        status: 401,
+        provider: 'google',
+        message: 'Esta cuenta se creó con Google y no tiene contraseña. Inicia sesión con Google; después puedes agregar una contraseña con POST /auth/register'
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return done(null, false, { status: 401, message: 'Email o contraseña incorrectos' });
+    }
+
+    if (!user.isActive) {
+      return done(null, false, { status: 403, message: 'La cuenta está desactivada' });
+    }
+
+    await user.updateLastLogin();
+    done(null, user);
+
+  } catch (error) {
+    console.error('Error en login local:', error);
+    done(error, null);
+  }
+}));
+
+/**
+ * Función para autenticar con Authorization: Bearer
+ * Propósito: Si la petición trae un token de acceso, lo valida y carga el usuario en
+ * req.user igual que la sesión, así req.isAuthenticated() funciona con ambos.
+ * Un token no válido, vencido o revocado lanza error (no se ignora)
+ */
+const authenticateBearer = async (req) => {
+  const token = getBearerToken(req);
+  if (!token) return;
+
+  const payload = await verifyAccessToken(token);
+  const user = await User.findById(payload.sub);
+
+  if (!user || !user.isActive) {
+    throw createError('El usuario del token no existe o está desactivado', 401);
+  }
+
+  req.user = user;
+  req.authInfo = { type: 'jwt', payload };
+};
+
+/**
+ * Función para aceptar token Bearer en un middleware de sesión
+ * Propósito: Resuelve el token antes de ejecutar la verificación; los errores de JWT
+ * los responde el errorHandler (401 Token no válido / Token expirado)
+ */
+const withBearer = (guard) => async (req, res, next) => {
+  try {
+    await authenticateBearer(req);
+  } catch (error) {
+    return next(error);
+  }
+  guard(req, res, next);
+};
+
 /**
  * Middleware para verificar autenticación
- * Propósito: Verifica si el usuario está autenticado
+ * Propósito: Verifica si el usuario está autenticado (sesión o token Bearer)
 */
-const ensureAuthenticated = (req, res, next) => {
+const ensureAuthenticated = withBearer((req, res, next) => {
   if (req.isAuthenticated()) {
     return next();
   }
@@ -108,13 +204,13 @@ const ensureAuthenticated = (req, res, next) => {
     message: 'Acceso denegado. Debes estar autenticado para acceder a este recurso.',
     loginUrl: '/auth/google'
   });
-};
+});
 
 /**
  * Middleware para verificar rol de administrador
  * Propósito: Verifica si el usuario tiene permisos de administrador
 */
-const ensureAdmin = (req, res, next) => {
+const ensureAdmin = withBearer((req, res, next) => {
   if (req.isAuthenticated() && req.user.role === 'admin') {
     return next();
   }
@@ -124,22 +220,105 @@ const ensureAdmin = (req, res, next) => {
     message: 'Acceso denegado. Se requieren permisos de administrador.',
     userRole: req.user ? req.user.role : 'no autenticado'
   });
+});
+
+/**
+ * Función para rechazar una petición sin permiso
+ * Propósito: Revisa el permiso en el rol del usuario y, si llega con una clave de API,
+ * también en sus scopes. Si falta responde 403 y devuelve true
+ * @param {Object} extra - Datos adicionales para la respuesta 403
+ */
+const denyWithoutPermission = (req, res, permission, extra = {}) => {
+  if (req.authInfo && req.authInfo.type === 'apiKey' && !req.authInfo.scopes.includes(permission)) {
+    res.status(403).json({
+      success: false,
+      message: `Acceso denegado. La clave de API no tiene el permiso ${permission}.`,
+      requiredPermission: permission,
+      ...extra
+    });
+    return true;
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    res.status(403).json({
+      success: false,
+      message: `Acceso denegado. Tu rol no tiene el permiso ${permission}.`,
+      requiredPermission: permission,
+      userRole: req.user.role,
+      ...extra
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Middleware para exigir un permiso (RBAC)
+ * Propósito: Acepta sesión, token Bearer o clave de API (encabezado X-API-Key). El rol
+ * del usuario debe tener el permiso (config/permissions.js) y, si llega con una clave,
+ * la clave también debe incluirlo entre sus scopes. Las claves de API solo se aceptan
+ * en las rutas protegidas con este middleware
+ * @param {string} permission - Permiso requerido (ej: 'books:write')
+*/
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const key = getApiKey(req);
+
+    if (key) {
+      const { apiKey, user } = await verifyApiKey(key);
+      req.user = user;
+      req.authInfo = { type: 'apiKey', keyId: apiKey._id, scopes: apiKey.scopes };
+    } else {
+      await authenticateBearer(req);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Acceso denegado. Debes estar autenticado para acceder a este recurso.',
+      loginUrl: '/auth/google'
+    });
+  }
+
+  if (!denyWithoutPermission(req, res, permission)) {
+    next();
+  }
+};
+
+/**
+ * Middleware para exigir un permiso extra según los campos del cuerpo
+ * Propósito: Una ruta puede aceptar campos que otro permiso controla (ej: editar un
+ * libro con books:write pero cambiar su stock solo con stock:write). Va después de
+ * requirePermission, que ya autenticó al usuario
+ * @param {string} permission - Permiso requerido si llega alguno de los campos
+ * @param {string[]} fields - Campos del cuerpo que exigen el permiso
+*/
+const requirePermissionForFields = (permission, fields) => (req, res, next) => {
+  const restrictedFields = fields.filter(field => req.body && req.body[field] !== undefined);
+
+  if (restrictedFields.length === 0 || !denyWithoutPermission(req, res, permission, { restrictedFields })) {
+    next();
+  }
 };
 
 /**
  * Middleware opcional para obtener usuario si está autenticado
  * Propósito: Agrega información del usuario sin requerir autenticación
 */
-const optionalAuth = (req, res, next) => {
-  // Simplemente continúa sin requerir autenticación
+const optionalAuth = withBearer((req, res, next) => {
+  // Continúa sin requerir autenticación (con token Bearer, req.user ya quedó cargado)
   next();
-};
+});
 
 /**
  * Función para verificar si el usuario es propietario del recurso
  * Propósito: Verifica si el usuario puede modificar un recurso específico
 */
-const ensureOwnershipOrAdmin = (req, res, next) => {
+const ensureOwnershipOrAdmin = withBearer((req, res, next) => {
   if (!req.isAuthenticated()) {
     return res.status(401).json({
       success: false,
@@ -158,11 +337,13 @@ const ensureOwnershipOrAdmin = (req, res, next) => {
     success: false,
     message: 'No tienes permisos para modificar este recurso'
   });
-};
+});
 
 module.exports = {
   ensureAuthenticated,
   ensureAdmin,
+  requirePermission,
+  requirePermissionForFields,
   optionalAuth,
   ensureOwnershipOrAdmin,
   getBaseURL
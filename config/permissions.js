@@ -0,0 +1,76 @@
+/**
+ * Roles y permisos (RBAC)
+ * Propósito: Cada ruta protegida pide un permiso y cada rol tiene una lista de permisos.
+ * Para crear un rol o cambiar lo que puede hacer, alcanza con editar ROLE_PERMISSIONS.
+ * Los permisos también son los scopes que se pueden asignar a una clave de API
+ */
+
+// Permisos disponibles
+const PERMISSIONS = {
+  'books:read': 'Ver estadísticas de libros, stock bajo, exportación, reporte e historial de inventario',
+  'books:write': 'Crear, importar, enriquecer y editar los datos de libros',
+  'books:delete': 'Eliminar libros',
+  'stock:write': 'Ajustar el stock de un libro o cambiar su stock, estado o ejemplares al editarlo',
+  'categories:read': 'Ver estadísticas de categorías',
+  'categories:write': 'Crear, editar y activar o desactivar categorías',
+  'categories:delete': 'Eliminar categorías',
+  'reviews:moderate': 'Editar y eliminar reseñas de otros usuarios',
+  'users:read': 'Listar y buscar usuarios',
+  'users:manage': 'Cambiar el rol de un usuario y activarlo o desactivarlo',
+  'apiKeys:manage': 'Revocar claves de API de otros usuarios'
+};
+
+// Permisos de cada rol
+const ROLE_PERMISSIONS = {
+  // Cliente de la biblioteca: solo rutas públicas y las propias (préstamos, pedidos, reseñas)
+  user: [],
+
+  // Consulta: reportes sin poder modificar nada (sirve para auditoría sin dar acceso de escritura)
+  viewer: ['books:read', 'categories:read'],
+
+  // Encargado de inventario: ajusta stock y consulta los reportes que lo necesitan
+  clerk: ['books:read', 'stock:write'],
+
+  // Editor: mantiene el catálogo (datos de libros y categorías) sin ver las estadísticas
+  editor: ['books:write', 'categories:write'],
+
+  // Administrador: todos los permisos
+  admin: Object.keys(PERMISSIONS)
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Campos de un libro que cambian el inventario: al crear, editar o importar solo se aceptan con stock:write
+const STOCK_FIELDS = ['stock', 'status', 'totalCopies'];
+
+/**
+ * Función para obtener los permisos de un rol
+ * @returns {string[]} Lista vacía si el rol no existe
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Función para saber si un usuario tiene un permiso por su rol
+ */
+const hasPermission = (user, permission) => Boolean(user) && getRolePermissions(user.role).includes(permission);
+
+/**
+ * Función para saber si quien hace la petición tiene un permiso
+ * Propósito: Además del rol, una petición con clave de API queda limitada a los scopes de la clave
+ */
+const requestHasPermission = (req, permission) => {
+  if (req.authInfo && req.authInfo.type === 'apiKey' && !req.authInfo.scopes.includes(permission)) {
+    return false;
+  }
+  return hasPermission(req.user, permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STOCK_FIELDS,
+  getRolePermissions,
+  hasPermission,
+  requestHasPermission
+};
@@ -39,7 +39,7 @@ const options = {
 
 **Nota:** Los credentials OAuth están configurados en el servidor, no necesitas introducir client_id ni client_secret.
 
-**Rutas protegidas:** Solo administradores pueden acceder a operaciones POST, PUT, DELETE y estadísticas.
+**Rutas protegidas:** Las operaciones POST, PUT, PATCH, DELETE y las estadísticas piden un permiso; cada rol (viewer, clerk, editor, admin) tiene los suyos.
           `,
           flows: {
             authorizationCode: {
@@ -59,6 +59,21 @@ const options = {
           description: 'Session-based authentication. After OAuth login, your session is stored in cookies.'
         }
       },
+      parameters: {
+        BookFields: {
+          in: 'query',
+          name: 'fields',
+          schema: { type: 'string' },
+          example: 'title,author,price,inStock',
+          description: 'Comma-separated list of book fields to return (_id is always included). Virtuals inStock, canBorrow and formattedPrice are allowed. Unknown fields return 400.'
+        },
+        BookInclude: {
+          in: 'query',
+          name: 'include',
+          schema: { type: 'string', enum: ['category', 'none'] },
+          description: 'category populates the category (name, description, color); none returns only its ID. Without fields, the category is populated by default.'
+        }
+      },
       schemas: {
         User: {
           type: 'object',
@@ -129,6 +144,18 @@ const options = {
               maxLength: 50,
               description: 'Category name'
             },
+            slug: {
+              type: 'string',
+              readOnly: true,
+              example: 'ciencia-ficcion',
+              description: 'URL-safe identifier generated from the name; usable instead of the ID in category URLs'
+            },
+            previousSlugs: {
+              type: 'array',
+              readOnly: true,
+              items: { type: 'string' },
+              description: 'Slugs from before a rename; they redirect to the current slug'
+            },
             description: {
               type: 'string',
               minLength: 10,
@@ -145,6 +172,17 @@ const options = {
               default: true,
               description: 'Whether category is active'
             },
+            parent: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent category ObjectId (null for root categories)'
+            },
+            defaultReorderThreshold: {
+              type: 'integer',
+              minimum: 0,
+              nullable: true,
+              description: 'Default reorder point for books in this category'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -176,8 +214,15 @@ const options = {
             },
             isbn: {
               type: 'string',
-              pattern: '^(?:\\d{9}[\\dX]|\\d{13})$',
-              description: 'ISBN-10 or ISBN-13'
+              example: '9780306406157',
+              description: 'ISBN-10 or ISBN-13, with or without hyphens. The checksum is verified and the book is stored with its hyphen-free ISBN-13, which is what responses return.'
+            },
+            isbn10: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              example: '0306406152',
+              description: 'ISBN-10 form of the ISBN (null for 979-prefixed ISBNs)'
             },
             description: {
               type: 'string',
@@ -187,7 +232,7 @@ const options = {
             },
             category: {
               type: 'string',
-              description: 'Category ObjectId'
+              description: 'Category ObjectId (required on create; missing only if its category was deleted with force=true)'
             },
             publishedDate: {
               type: 'string',
@@ -237,18 +282,147 @@ const options = {
               type: 'number',
               minimum: 0,
               maximum: 5,
-              description: 'Average rating'
+              readOnly: true,
+              description: 'Average rating, calculated from reviews'
             },
             reviewCount: {
               type: 'integer',
               minimum: 0,
-              description: 'Number of reviews'
+              readOnly: true,
+              description: 'Number of reviews, calculated from reviews'
             },
             isFeatured: {
               type: 'boolean',
               default: false,
               description: 'Whether book is featured'
             },
+            score: {
+              type: 'number',
+              readOnly: true,
+              description: 'Relevance score, only present in text search results'
+            },
+            totalCopies: {
+              type: 'integer',
+              minimum: 0,
+              default: 0,
+              description: 'Library copies available for lending (separate from sale stock)'
+            },
+            availableCopies: {
+              type: 'integer',
+              minimum: 0,
+              readOnly: true,
+              description: 'Lending copies currently in the library'
+            },
+            reorderThreshold: {
+              type: 'integer',
+              minimum: 0,
+              nullable: true,
+              description: 'Reorder point; null uses the category default'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Review: {
+          type: 'object',
+          required: ['rating'],
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            book: {
+              type: 'string',
+              description: 'Book ObjectId'
+            },
+            user: {
+              type: 'object',
+              description: 'Author of the review (name and avatar)'
+            },
+            rating: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5,
+              description: 'Rating from 1 to 5'
+            },
+            title: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Review title'
+            },
+            comment: {
+              type: 'string',
+              maxLength: 1000,
+              description: 'Review comment'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Order: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            user: {
+              type: 'string',
+              description: 'User ObjectId'
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  book: {
+                    type: 'string',
+                    description: 'Book ObjectId'
+                  },
+                  title: {
+                    type: 'string',
+                    description: 'Book title at checkout time'
+                  },
+                  price: {
+                    type: 'number',
+                    description: 'Unit price at checkout time'
+                  },
+                  quantity: {
+                    type: 'integer',
+                    minimum: 1
+                  },
+                  subtotal: {
+                    type: 'number'
+                  }
+                }
+              }
+            },
+            total: {
+              type: 'number',
+              description: 'Order total'
+            },
+            itemCount: {
+              type: 'integer',
+              description: 'Total number of copies in the order'
+            },
+            status: {
+              type: 'string',
+              enum: ['confirmado', 'enviado', 'entregado', 'cancelado'],
+              default: 'confirmado',
+              description: 'Order status'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -259,6 +433,233 @@ const options = {
             }
           }
         },
+        Loan: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            user: {
+              type: 'string',
+              description: 'User ObjectId'
+            },
+            book: {
+              type: 'object',
+              description: 'Borrowed book (title, author, isbn)'
+            },
+            borrowedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Due date for the return'
+            },
+            returnedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            renewals: {
+              type: 'integer',
+              minimum: 0,
+              description: 'Number of times the loan was renewed'
+            },
+            status: {
+              type: 'string',
+              enum: ['activo', 'devuelto'],
+              description: 'Loan status'
+            },
+            isOverdue: {
+              type: 'boolean',
+              description: 'Whether the loan is active and past its due date'
+            },
+            daysOverdue: {
+              type: 'integer',
+              description: 'Days past the due date'
+            }
+          }
+        },
+        StockMovement: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'MongoDB ObjectId'
+            },
+            book: {
+              type: 'string',
+              description: 'Book ObjectId'
+            },
+            delta: {
+              type: 'integer',
+              example: -2,
+              description: 'Stock change (positive or negative)'
+            },
+            resultingStock: {
+              type: 'integer',
+              example: 18,
+              description: 'Stock after the change'
+            },
+            operation: {
+              type: 'string',
+              enum: ['add', 'reduce', 'set', 'update', 'create', 'order', 'seed', 'import'],
+              description: 'Origin of the change'
+            },
+            reason: {
+              type: 'string',
+              description: 'Reason for the change'
+            },
+            user: {
+              type: 'object',
+              description: 'User who made the change (name and email)'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        CategoryTreeNode: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string', example: 'Física' },
+            slug: { type: 'string', example: 'fisica' },
+            description: { type: 'string' },
+            color: { type: 'string', example: '#007bff' },
+            isActive: { type: 'boolean' },
+            parent: { type: 'string', nullable: true },
+            ownBookCount: {
+              type: 'integer',
+              description: 'Books in this category only',
+              example: 3
+            },
+            bookCount: {
+              type: 'integer',
+              description: 'Books in this category and all its subcategories',
+              example: 7
+            },
+            children: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CategoryTreeNode' }
+            }
+          }
+        },
+        BookFacets: {
+          type: 'object',
+          description: 'Facet counts; each facet ignores its own filter but applies all the others',
+          properties: {
+            categories: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  name: { type: 'string', example: 'Ficción' },
+                  color: { type: 'string', example: '#007bff' },
+                  count: { type: 'integer', example: 12 }
+                }
+              }
+            },
+            languages: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', example: 'español' },
+                  count: { type: 'integer', example: 30 }
+                }
+              }
+            },
+            status: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  value: { type: 'string', example: 'disponible' },
+                  count: { type: 'integer', example: 25 }
+                }
+              }
+            },
+            priceRanges: {
+              type: 'array',
+              description: 'Price ranges [min, max); max is null for the open-ended last range',
+              items: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number', example: 10 },
+                  max: { type: 'number', nullable: true, example: 20 },
+                  count: { type: 'integer', example: 8 }
+                }
+              }
+            },
+            decades: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  decade: { type: 'integer', example: 1990 },
+                  count: { type: 'integer', example: 4 }
+                }
+              }
+            }
+          }
+        },
+        BookEnrichment: {
+          type: 'object',
+          description: 'Result of looking up an ISBN in the bibliographic provider',
+          properties: {
+            found: { type: 'boolean', example: true },
+            provider: { type: 'string', example: 'file' },
+            filled: {
+              type: 'array',
+              description: 'Fields that were missing and were filled from the provider',
+              items: { type: 'string' },
+              example: ['publisher', 'pages', 'description']
+            },
+            suggestions: {
+              type: 'array',
+              description: 'Fields whose current value differs from the provider (not changed)',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'title' },
+                  current: { example: 'Mil novecientos ochenta y cuatro' },
+                  suggested: { example: '1984' }
+                }
+              }
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          description: 'Personal API key. The full key is only returned when it is created',
+          properties: {
+            _id: { type: 'string' },
+            user: { type: 'string', description: 'Owner of the key' },
+            name: { type: 'string', example: 'Sincronización de inventario' },
+            prefix: { type: 'string', example: 'dlk_3fA9xQ2b', description: 'First characters of the key, to recognize it' },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: [
+                  'books:read', 'books:write', 'books:delete', 'stock:write',
+                  'categories:read', 'categories:write', 'categories:delete'
+                ]
+              },
+              example: ['books:read', 'stock:write']
+            },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'null if the key does not expire' },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            isActive: { type: 'boolean', description: 'Not revoked and not expired' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
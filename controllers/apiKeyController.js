@@ -0,0 +1,187 @@
+const ApiKey = require('../models/apiKey');
+const { generateApiKey, getUserScopes } = require('../services/apiKeys');
+const { apiKeyConfig } = require('../config/library');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * @desc    Obtener las claves de API del usuario
+ * @route   GET /auth/api-keys
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Lista las claves del usuario actual (vigentes, revocadas y expiradas),
+ * las más nuevas primero. Solo se muestra el prefijo de cada clave
+ */
+const getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Claves de API obtenidas exitosamente',
+      data: apiKeys,
+      count: apiKeys.length,
+      availableScopes: getUserScopes(req.user)
+    });
+
+  } catch (error) {
+    console.error('Error en getMyApiKeys:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener las claves de API'
+    });
+  }
+};
+
+/**
+ * @desc    Crear una clave de API
+ * @route   POST /auth/api-keys
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Genera una clave con los permisos pedidos, siempre que el usuario los tenga.
+ * La clave completa se devuelve solo en esta respuesta; después no se puede recuperar
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const userScopes = getUserScopes(req.user);
+    const deniedScopes = scopes.filter(scope => !userScopes.includes(scope));
+    if (deniedScopes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'No puedes asignar a una clave permisos que tu cuenta no tiene',
+        deniedScopes
+      });
+    }
+
+    const maxExpiration = new Date(Date.now() + apiKeyConfig.maxLifetimeDays * 24 * 60 * 60 * 1000);
+    if (expiresAt && expiresAt > maxExpiration) {
+      return res.status(400).json({
+        success: false,
+        message: `La clave no puede durar más de ${apiKeyConfig.maxLifetimeDays} días`
+      });
+    }
+
+    const activeKeys = await ApiKey.countActiveByUser(req.user._id);
+    if (activeKeys >= apiKeyConfig.maxKeysPerUser) {
+      return res.status(409).json({
+        success: false,
+        message: `Ya tienes ${apiKeyConfig.maxKeysPerUser} claves vigentes; revoca alguna antes de crear otra`
+      });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt: expiresAt || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Clave de API creada exitosamente. Guárdala ahora: no se volverá a mostrar',
+      key,
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Error en createApiKey:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear la clave de API'
+    });
+  }
+};
+
+/**
+ * @desc    Revocar una clave de API
+ * @route   DELETE /auth/api-keys/:id
+ * @access  Privado (Dueño de la clave o permiso apiKeys:manage)
+ * Propósito: La clave deja de funcionar de inmediato. Se conserva en el listado
+ * (con revokedAt) para saber qué integraciones dejaron de tener acceso
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Clave de API no encontrada'
+      });
+    }
+
+    if (!apiKey.user.equals(req.user._id) && !hasPermission(req.user, 'apiKeys:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para revocar esta clave'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(200).json({
+        success: true,
+        message: 'La clave de API ya estaba revocada',
+        data: apiKey
+      });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Clave de API revocada exitosamente',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Error en revokeApiKey:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de clave no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al revocar la clave de API'
+    });
+  }
+};
+
+module.exports = {
+  getMyApiKeys,
+  createApiKey,
+  revokeApiKey
+};
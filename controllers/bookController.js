@@ -1,6 +1,227 @@
+const mongoose = require('mongoose');
 const Book = require('../models/book');
 const Category = require('../models/category');
+const Review = require('../models/review');
+const StockMovement = require('../models/stockMovement');
 const { createError } = require('../middleware/errorHandler');
+const { checkLowStock } = require('../services/stockAlerts');
+const { fuzzySearchBooks } = require('../services/fuzzySearch');
+const { inventoryConfig } = require('../config/library');
+const { requestHasPermission } = require('../config/permissions');
+const { paginateWithCursor } = require('../utils/cursorPagination');
+const { parseSortParam } = require('../middleware/validation');
+const { importBookRows, MAX_IMPORT_ROWS } = require('../services/bookImport');
+const { parseCsv } = require('../utils/csv');
+const { EXPORT_FORMATS } = require('../services/catalogExport');
+const { toIsbn13 } = require('../utils/isbn');
+const { enrichBookData, ENRICHABLE_FIELDS } = require('../services/enrichment');
+
+// Orden alfabético español para títulos (tildes junto a la vocal, ñ después de n)
+const SPANISH_COLLATION = { locale: 'es' };
+
+// Campos que necesita cada virtual para calcularse
+const VIRTUAL_DEPENDENCIES = {
+  isbn10: ['isbn'],
+  inStock: ['stock', 'status'],
+  canBorrow: ['availableCopies'],
+  formattedPrice: ['price']
+};
+
+/**
+ * Función para leer la vista pedida de un libro
+ * Propósito: Traduce ?fields= e ?include= (ya validados) en la proyección, la population
+ * y los campos a devolver. Sin fields se devuelve el libro completo y, sin include,
+ * se incluye la categoría como siempre
+ * @param {Object} query - req.query
+ * @param {Array<string>} requiredFields - Campos que la consulta necesita aunque no se devuelvan (ej: los del orden)
+ */
+const getBookView = (query, requiredFields = []) => {
+  const includeCategory = query.include !== 'none';
+
+  if (!query.fields) {
+    return { fields: null, projection: null, includeCategory };
+  }
+
+  const fields = query.fields.split(',').map(field => field.trim()).filter(Boolean);
+  if (query.include === 'category' && !fields.includes('category')) {
+    fields.push('category');
+  }
+
+  const projection = new Set(requiredFields);
+  fields.forEach(field => {
+    (VIRTUAL_DEPENDENCIES[field] || [field]).forEach(path => projection.add(path));
+  });
+
+  return {
+    fields,
+    projection: [...projection].join(' '),
+    includeCategory: includeCategory && fields.includes('category')
+  };
+};
+
+/**
+ * Función para aplicar la vista a una consulta de libros
+ */
+const applyBookView = (query, view) => {
+  if (view.projection) query.select(view.projection);
+  if (view.includeCategory) query.populate('category', 'name slug description color');
+  return query;
+};
+
+/**
+ * Función para dar forma a un libro según la vista
+ * Propósito: Con fields, devuelve solo _id, los campos pedidos y el puntaje de búsqueda
+ */
+const shapeBook = (book, view) => {
+  if (!view.fields || !book) return book;
+
+  const json = book.toJSON();
+  const shaped = { _id: json._id };
+  view.fields.forEach(field => {
+    if (json[field] !== undefined) shaped[field] = json[field];
+  });
+  if (json.score !== undefined) shaped.score = json.score;
+  return shaped;
+};
+
+// Límites de los rangos de precio de la faceta priceRanges (el último rango es "100 o más")
+const PRICE_BUCKETS = [0, 10, 20, 30, 50, 100];
+
+/**
+ * Función para calcular los conteos por faceta del listado de libros
+ * Propósito: En una sola agregación $facet cuenta libros por categoría, idioma, estado,
+ * rango de precio y década de publicación. Cada faceta aplica todos los filtros activos
+ * menos el suyo, para que el cliente vea cuántos resultados tendría al cambiar esa opción
+ * @param {Object} filters - Filtros del listado (los mismos que usa Book.find)
+ */
+const getBookFacets = async (filters) => {
+  // La agregación no convierte tipos como find(); se castean los filtros con el esquema
+  const { $text, ...fieldFilters } = Book.find().cast(Book, { ...filters });
+
+  // Etapa $match con todos los filtros excepto el del campo indicado
+  const matchWithout = (field) => {
+    const { [field]: omitted, ...rest } = fieldFilters;
+    return { $match: rest };
+  };
+
+  const countBy = (field) => [
+    matchWithout(field),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $project: { _id: 0, value: '$_id', count: 1 } },
+    { $sort: { count: -1, value: 1 } }
+  ];
+
+  const [result] = await Book.aggregate([
+    // $text solo puede usarse en la primera etapa del pipeline
+    { $match: $text ? { $text } : {} },
+    {
+      $facet: {
+        categories: [
+          matchWithout('category'),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: '_id',
+              foreignField: '_id',
+              as: 'category'
+            }
+          },
+          { $unwind: '$category' },
+          { $project: { _id: 1, name: '$category.name', color: '$category.color', count: 1 } },
+          { $sort: { count: -1, name: 1 } }
+        ],
+        languages: countBy('language'),
+        status: countBy('status'),
+        priceRanges: [
+          matchWithout('price'),
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        decades: [
+          matchWithout('publishedDate'),
+          { $match: { publishedDate: { $type: 'date' } } },
+          {
+            $group: {
+              _id: { $multiply: [{ $floor: { $divide: [{ $year: '$publishedDate' }, 10] } }, 10] },
+              count: { $sum: 1 }
+            }
+          },
+          { $project: { _id: 0, decade: '$_id', count: 1 } },
+          { $sort: { decade: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Cada rango de precio se expresa como [min, max); max null = sin tope
+  result.priceRanges = result.priceRanges.map(({ _id, count }) => {
+    const index = PRICE_BUCKETS.indexOf(_id);
+    return { min: _id, max: PRICE_BUCKETS[index + 1] ?? null, count };
+  });
+
+  return result;
+};
+
+/**
+ * Función para construir los filtros del listado de libros
+ * Propósito: Traduce los parámetros de consulta de GET /api/books a un filtro de Mongoose;
+ * la exportación del catálogo usa los mismos parámetros
+ * @param {Object} query - req.query (ya validado)
+ */
+const buildBookFilters = (query) => {
+  const { search, category, status, minPrice, maxPrice, language, isFeatured, decade } = query;
+  const filters = {};
+
+  // Filtro de búsqueda por texto (título, autor, descripción) con el índice de texto
+  if (search) {
+    Object.assign(filters, Book.textSearch(search, language));
+  }
+
+  // Filtro por categoría
+  if (category) {
+    filters.category = category;
+  }
+
+  // Filtro por estado
+  if (status) {
+    filters.status = status;
+  }
+
+  // Filtro por rango de precios
+  if (minPrice || maxPrice) {
+    filters.price = {};
+    if (minPrice) filters.price.$gte = parseFloat(minPrice);
+    if (maxPrice) filters.price.$lte = parseFloat(maxPrice);
+  }
+
+  // Filtro por idioma
+  if (language) {
+    filters.language = language;
+  }
+
+  // Filtro por libros destacados
+  if (isFeatured !== undefined) {
+    filters.isFeatured = isFeatured === 'true';
+  }
+
+  // Filtro por década de publicación (1990 = de 1990 a 1999)
+  if (decade) {
+    const startYear = parseInt(decade);
+    filters.publishedDate = {
+      $gte: new Date(Date.UTC(startYear, 0, 1)),
+      $lt: new Date(Date.UTC(startYear + 10, 0, 1))
+    };
+  }
+
+  return filters;
+};
 
 /**
  * @desc    Obtener todos los libros
@@ -21,87 +242,102 @@ const getBooks = async (req, res) => {
       minPrice,
       maxPrice,
       language,
-      isFeatured
+      isFeatured,
+      decade,
+      facets,
+      cursor
     } = req.query;
 
     // Construir filtros de búsqueda
-    const filters = {};
+    const filters = buildBookFilters(req.query);
 
-    // Filtro de búsqueda por texto (título, autor, descripción)
-    if (search) {
-      filters.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { author: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+    // Configurar paginación
+    const skip = (page - 1) * limit;
 
-    // Filtro por categoría
-    if (category) {
-      filters.category = category;
-    }
+    // Con búsqueda y sin orden explícito, se ordena por relevancia
+    const sortByRelevance = search && !req.query.sort;
 
-    // Filtro por estado
-    if (status) {
-      filters.status = status;
+    // Paginación por cursor: se activa enviando cursor (vacío para la primera página)
+    const useCursor = cursor !== undefined;
+    if (useCursor && sortByRelevance) {
+      return res.status(400).json({
+        success: false,
+        message: 'La paginación por cursor requiere un orden explícito (sort) al usar search'
+      });
     }
 
-    // Filtro por rango de precios
-    if (minPrice || maxPrice) {
-      filters.price = {};
-      if (minPrice) filters.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filters.price.$lte = parseFloat(maxPrice);
-    }
+    // sort ya fue validado contra los campos permitidos: "-averageRating,price"
+    const sortFields = parseSortParam(sort);
 
-    // Filtro por idioma
-    if (language) {
-      filters.language = language;
-    }
+    // Campos y relaciones pedidos; los campos del orden se leen siempre para el cursor
+    const view = getBookView(req.query, Object.keys(sortFields));
+    const query = applyBookView(Book.find(filters, search ? Book.textScore : undefined), view);
 
-    // Filtro por libros destacados
-    if (isFeatured !== undefined) {
-      filters.isFeatured = isFeatured === 'true';
+    // Ordenar por título con reglas del español; $text no admite collation,
+    // así que con búsqueda se mantiene el orden binario
+    if (sortFields.title && !search) {
+      query.collation(SPANISH_COLLATION);
     }
 
-    // Configurar paginación
-    const skip = (page - 1) * limit;
+    const pageRequest = useCursor
+      ? paginateWithCursor(query, { sort: sortFields, cursor, limit: parseInt(limit) })
+      : query
+        .sort(sortByRelevance ? Book.textScore : sortFields)
+        .skip(skip)
+        .limit(parseInt(limit));
 
     // Ejecutar consulta con paginación y población de referencias
-    const [books, total] = await Promise.all([
-      Book.find(filters)
-        .populate('category', 'name description color') // Incluir datos de categoría
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Book.countDocuments(filters)
+    // (y los conteos por faceta solo si se piden)
+    const [pageResult, total, facetCounts] = await Promise.all([
+      pageRequest,
+      Book.countDocuments(filters),
+      facets === 'true' ? getBookFacets(filters) : undefined
     ]);
 
     // Calcular información de paginación
-    const totalPages = Math.ceil(total / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+    let books;
+    let pagination;
+    if (useCursor) {
+      books = pageResult.docs;
+      pagination = {
+        mode: 'cursor',
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: pageResult.hasNextPage,
+        hasPrevPage: pageResult.hasPrevPage,
+        nextCursor: pageResult.nextCursor,
+        prevCursor: pageResult.prevCursor
+      };
+    } else {
+      books = pageResult;
+      const totalPages = Math.ceil(total / limit);
+      pagination = {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      };
+    }
 
     // ✅ ENVIAR RESPUESTA UNA SOLA VEZ
     res.status(200).json({
       success: true,
       message: 'Libros obtenidos exitosamente',
-      data: books,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNextPage,
-        hasPrevPage
-      },
+      data: books.map(book => shapeBook(book, view)),
+      pagination,
       filters: {
         search,
+        sortedBy: sortByRelevance ? 'relevance' : sort,
         category,
         status,
         priceRange: { min: minPrice, max: maxPrice },
         language,
-        isFeatured
-      }
+        isFeatured,
+        decade
+      },
+      ...(facetCounts && { facets: facetCounts })
     });
 
   } catch (error) {
@@ -110,6 +346,21 @@ const getBooks = async (req, res) => {
     if (res.headersSent) {
       return; // No enviar respuesta si ya se envió
     }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de filtro no válidos'
+      });
+    }
+
+    // Errores esperados, como un cursor no válido
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -126,8 +377,8 @@ const getBooks = async (req, res) => {
  */
 const getBookById = async (req, res) => {
   try {
-    const book = await Book.findById(req.params.id)
-      .populate('category', 'name description color');
+    const view = getBookView(req.query);
+    const book = await applyBookView(Book.findById(req.params.id), view);
 
     if (!book) {
       return res.status(404).json({
@@ -139,7 +390,7 @@ const getBookById = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Libro obtenido exitosamente',
-      data: book
+      data: shapeBook(book, view)
     });
 
   } catch (error) {
@@ -163,6 +414,122 @@ const getBookById = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Obtener un libro por ISBN
+ * @route   GET /api/books/isbn/:isbn
+ * @access  Público
+ * Propósito: Búsqueda desde lectores de códigos de barras; acepta ISBN-10 o ISBN-13
+ * con cualquier guionado (la validación ya lo convirtió a ISBN-13)
+ */
+const getBookByIsbn = async (req, res) => {
+  try {
+    const { isbn } = req.params;
+
+    const view = getBookView(req.query);
+    const book = await applyBookView(Book.findOne({ isbn }), view);
+
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: `No se encontró un libro con ISBN ${isbn}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Libro obtenido exitosamente',
+      data: shapeBook(book, view)
+    });
+
+  } catch (error) {
+    console.error('Error en getBookByIsbn:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener libro por ISBN'
+    });
+  }
+};
+
+/**
+ * @desc    Buscar varios libros por ISBN
+ * @route   POST /api/books/isbn/lookup
+ * @access  Público
+ * Propósito: Consulta de hasta 100 ISBN en una sola solicitud. Informa por separado
+ * los ISBN que no existen en el catálogo y los que no son válidos
+ */
+const lookupBooksByIsbn = async (req, res) => {
+  try {
+    const { isbns } = req.body;
+
+    // Relacionar cada ISBN recibido con su forma canónica
+    const requested = isbns.map(isbn => ({ isbn, canonical: toIsbn13(isbn) }));
+    const invalid = requested.filter(item => !item.canonical).map(item => item.isbn);
+    const canonicalIsbns = [...new Set(requested.map(item => item.canonical).filter(Boolean))];
+
+    // El ISBN se lee siempre para saber cuáles se encontraron
+    const view = getBookView(req.query, ['isbn']);
+    const books = await applyBookView(Book.find({ isbn: { $in: canonicalIsbns } }), view);
+
+    const foundIsbns = new Set(books.map(book => book.isbn));
+    const notFound = requested
+      .filter(item => item.canonical && !foundIsbns.has(item.canonical))
+      .map(item => item.isbn);
+
+    res.status(200).json({
+      success: true,
+      message: `${books.length} de ${canonicalIsbns.length} libros encontrados`,
+      data: books.map(book => shapeBook(book, view)),
+      notFound,
+      invalid,
+      count: books.length
+    });
+
+  } catch (error) {
+    console.error('Error en lookupBooksByIsbn:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al buscar libros por ISBN'
+    });
+  }
+};
+
+/**
+ * Middleware para completar un libro nuevo con el proveedor bibliográfico
+ * Propósito: Con ?enrich=true rellena los campos que faltan en el cuerpo a partir del ISBN
+ * antes de validarlo, así se puede crear un libro enviando solo ISBN, categoría y precio.
+ * Los valores enviados nunca se reemplazan; las diferencias se informan como sugerencias.
+ * Si el proveedor falla el libro se valida tal como llegó
+ */
+const enrichNewBook = async (req, res, next) => {
+  if (req.query.enrich !== 'true' || !req.body || typeof req.body !== 'object') {
+    return next();
+  }
+
+  try {
+    const { found, provider, filled, suggestions, data } = await enrichBookData(req.body);
+    req.body = data;
+    res.locals.enrichment = { found, provider, filled, suggestions };
+  } catch (error) {
+    console.error('Error al consultar el proveedor bibliográfico:', error.message);
+    res.locals.enrichment = {
+      found: false,
+      error: 'No se pudo consultar el proveedor bibliográfico'
+    };
+  }
+
+  next();
+};
+
 /**
  * @desc    Crear nuevo libro
  * @route   POST /api/books
@@ -189,7 +556,8 @@ const createBook = async (req, res) => {
       });
     }
 
-    // Verificar si ya existe un libro con el mismo ISBN
+    // Verificar si ya existe un libro con el mismo ISBN (la validación ya lo convirtió
+    // a ISBN-13, así que un ISBN-10 y su ISBN-13 se detectan como el mismo libro)
     const existingBook = await Book.findOne({ isbn: bookData.isbn });
     if (existingBook) {
       return res.status(409).json({
@@ -201,14 +569,25 @@ const createBook = async (req, res) => {
     // Crear el nuevo libro
     const book = await Book.create(bookData);
 
+    // Registrar el stock inicial en el historial de inventario
+    await StockMovement.record({
+      book: book._id,
+      delta: book.stock,
+      resultingStock: book.stock,
+      operation: 'create',
+      user: req.user && req.user._id
+    });
+
     // Obtener el libro creado con la categoría poblada
     const createdBook = await Book.findById(book._id)
-      .populate('category', 'name description color');
+      .populate('category', 'name slug description color');
 
     res.status(201).json({
       success: true,
       message: 'Libro creado exitosamente',
-      data: createdBook
+      data: createdBook,
+      // Solo con ?enrich=true: qué completó el proveedor y qué sugiere cambiar
+      ...(res.locals.enrichment && { enrichment: res.locals.enrichment })
     });
 
   } catch (error) {
@@ -256,6 +635,74 @@ const createBook = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Consultar metadatos de un libro por ISBN
+ * @route   POST /api/books/enrich
+ * @access  Privado (Admin)
+ * Propósito: Consulta el proveedor bibliográfico y devuelve los datos prellenados y las
+ * diferencias con los valores enviados. Si solo se envía el ISBN y el libro ya está en el
+ * catálogo, se compara con el libro guardado. No modifica nada
+ */
+const enrichBook = async (req, res) => {
+  try {
+    const { isbn } = req.body;
+    const onlyIsbn = Object.keys(req.body).length === 1;
+
+    let bookId;
+    let current = req.body;
+    if (onlyIsbn) {
+      const book = await Book.findOne({ isbn }).select(ENRICHABLE_FIELDS.join(' ')).lean();
+      if (book) {
+        bookId = book._id;
+        const { _id, ...fields } = book;
+        current = { ...fields, isbn };
+      }
+    }
+
+    let enrichment;
+    try {
+      enrichment = await enrichBookData(current);
+    } catch (error) {
+      console.error('Error al consultar el proveedor bibliográfico:', error.message);
+      return res.status(502).json({
+        success: false,
+        message: 'No se pudo consultar el proveedor bibliográfico'
+      });
+    }
+
+    if (!enrichment.found) {
+      return res.status(404).json({
+        success: false,
+        message: `El proveedor no tiene datos para el ISBN ${isbn}`,
+        provider: enrichment.provider
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      provider: enrichment.provider,
+      isbn,
+      bookId,
+      metadata: enrichment.metadata,
+      filled: enrichment.filled,
+      suggestions: enrichment.suggestions,
+      data: enrichment.data
+    });
+
+  } catch (error) {
+    console.error('Error en enrichBook:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al consultar metadatos'
+    });
+  }
+};
+
 /**
  * @desc    Actualizar libro
  * @route   PUT /api/books/:id
@@ -263,6 +710,8 @@ const createBook = async (req, res) => {
  * Propósito: Actualiza un libro existente
  */
 const updateBook = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -275,7 +724,8 @@ const updateBook = async (req, res) => {
       });
     }
 
-    if (updateData.category && updateData.category !== book.category.toString()) {
+    // String() porque el libro puede no tener categoría (se eliminó con force=true)
+    if (updateData.category && updateData.category !== String(book.category)) {
       const category = await Category.findById(updateData.category);
       if (!category) {
         return res.status(400).json({
@@ -304,14 +754,44 @@ const updateBook = async (req, res) => {
       }
     }
 
-    book = await Book.findByIdAndUpdate(
-      id,
-      updateData,
-      { 
-        new: true,
-        runValidators: true
+    // No se puede bajar de los ejemplares prestados (se vuelve a comprobar al guardar)
+    const { totalCopies, ...bookData } = updateData;
+    if (totalCopies !== undefined) {
+      const copiesOnLoan = book.totalCopies - book.availableCopies;
+      if (totalCopies < copiesOnLoan) {
+        return res.status(400).json({
+          success: false,
+          message: `No se puede reducir a ${totalCopies} ejemplares: hay ${copiesOnLoan} prestados`
+        });
       }
-    ).populate('category', 'name description color');
+    }
+
+    // La edición y el historial de stock se confirman juntos; el documento anterior
+    // (devuelto por la misma actualización) da la variación exacta de stock
+    await session.withTransaction(async () => {
+      const previousBook = await Book.updateWithStock(id, bookData, { session });
+      if (!previousBook) {
+        throw createError('Libro no encontrado', 404);
+      }
+
+      // Los disponibles se ajustan con la diferencia, sin pisar préstamos ni devoluciones simultáneos
+      if (totalCopies !== undefined && !await Book.setTotalCopiesById(id, totalCopies, { session })) {
+        throw createError(`No se puede reducir a ${totalCopies} ejemplares: hay más ejemplares prestados`, 400);
+      }
+
+      if (updateData.stock !== undefined) {
+        await StockMovement.record({
+          book: previousBook._id,
+          delta: updateData.stock - previousBook.stock,
+          resultingStock: updateData.stock,
+          operation: 'update',
+          user: req.user && req.user._id
+        }, { session });
+      }
+    });
+
+    book = await Book.findById(id)
+      .populate('category', 'name slug description color');
 
     res.status(200).json({
       success: true,
@@ -326,6 +806,14 @@ const updateBook = async (req, res) => {
       return;
     }
     
+    // Libro eliminado mientras se editaba
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
@@ -348,6 +836,8 @@ const updateBook = async (req, res) => {
       success: false,
       message: 'Error al actualizar libro'
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -371,6 +861,9 @@ const deleteBook = async (req, res) => {
 
     await Book.findByIdAndDelete(id);
 
+    // Eliminar las reseñas asociadas al libro
+    await Review.deleteMany({ book: id });
+
     res.status(200).json({
       success: true,
       message: 'Libro eliminado exitosamente',
@@ -410,12 +903,13 @@ const deleteBook = async (req, res) => {
  */
 const getAvailableBooks = async (req, res) => {
   try {
-    const books = await Book.findAvailable();
+    const view = getBookView(req.query);
+    const books = await applyBookView(Book.findAvailable(), view);
 
     res.status(200).json({
       success: true,
       message: 'Libros disponibles obtenidos exitosamente',
-      data: books,
+      data: books.map(book => shapeBook(book, view)),
       count: books.length
     });
 
@@ -452,7 +946,16 @@ const getBooksByCategory = async (req, res) => {
       });
     }
 
-    const books = await Book.findByCategory(categoryId);
+    // Con includeDescendants también se incluyen los libros de todas sus subcategorías
+    const includeDescendants = req.query.includeDescendants === 'true';
+    const [descendantIds, ancestors] = await Promise.all([
+      includeDescendants ? Category.findDescendantIds(category._id) : [],
+      Category.findAncestors(category._id)
+    ]);
+
+    const books = descendantIds.length > 0
+      ? await Book.find({ category: { $in: [category._id, ...descendantIds] } }).populate('category')
+      : await Book.findByCategory(categoryId);
 
     res.status(200).json({
       success: true,
@@ -461,7 +964,11 @@ const getBooksByCategory = async (req, res) => {
       category: {
         id: category._id,
         name: category.name,
-        description: category.description
+        description: category.description,
+        slug: category.slug,
+        breadcrumbs: [...ancestors, { _id: category._id, name: category.name, slug: category.slug }],
+        includeDescendants,
+        subcategoryCount: descendantIds.length
       },
       count: books.length
     });
@@ -495,15 +1002,15 @@ const getBooksByCategory = async (req, res) => {
  */
 const getFeaturedBooks = async (req, res) => {
   try {
-    const books = await Book.find({ isFeatured: true })
-      .populate('category', 'name description color')
+    const view = getBookView(req.query);
+    const books = await applyBookView(Book.find({ isFeatured: true }), view)
       .sort({ averageRating: -1, reviewCount: -1 })
       .limit(10);
 
     res.status(200).json({
       success: true,
       message: 'Libros destacados obtenidos exitosamente',
-      data: books,
+      data: books.map(book => shapeBook(book, view)),
       count: books.length
     });
 
@@ -525,21 +1032,15 @@ const getFeaturedBooks = async (req, res) => {
  * @desc    Buscar libros por texto
  * @route   GET /api/books/search/:searchTerm
  * @access  Público
- * Propósito: Búsqueda avanzada de libros por texto
+ * Propósito: Búsqueda de libros por texto, ordenada por relevancia
  */
 const searchBooks = async (req, res) => {
   try {
     const { searchTerm } = req.params;
     const { category, minPrice, maxPrice, language } = req.query;
 
-    // Construir filtros
-    const filters = {
-      $or: [
-        { title: { $regex: searchTerm, $options: 'i' } },
-        { author: { $regex: searchTerm, $options: 'i' } },
-        { description: { $regex: searchTerm, $options: 'i' } }
-      ]
-    };
+    // Construir filtros (búsqueda con el índice de texto ponderado)
+    const filters = Book.textSearch(searchTerm, language);
 
     // Aplicar filtros adicionales
     if (category) filters.category = category;
@@ -550,15 +1051,35 @@ const searchBooks = async (req, res) => {
       if (maxPrice) filters.price.$lte = parseFloat(maxPrice);
     }
 
-    const books = await Book.find(filters)
-      .populate('category', 'name description color')
-      .sort({ title: 1 });
+    // Cada resultado incluye su puntaje de relevancia (score), de mayor a menor.
+    // El índice de texto ya ignora tildes ("fisica" encuentra "Física")
+    const view = getBookView(req.query);
+    let books = await applyBookView(Book.find(filters, Book.textScore), view)
+      .sort(Book.textScore);
+    let matchType = 'exacta';
+    let didYouMean = null;
+
+    // Sin coincidencias: búsqueda tolerante a errores de tipeo sobre título y autor
+    if (books.length === 0) {
+      const { $text, ...otherFilters } = filters;
+      const { ids, suggestion } = await fuzzySearchBooks(searchTerm, otherFilters);
+
+      const found = await applyBookView(Book.find({ _id: { $in: ids } }), view);
+      // Conservar el orden por cercanía que devuelve la búsqueda aproximada
+      const byId = new Map(found.map(book => [book._id.toString(), book]));
+      books = ids.map(id => byId.get(id.toString())).filter(Boolean);
+
+      matchType = 'aproximada';
+      didYouMean = suggestion;
+    }
 
     res.status(200).json({
       success: true,
       message: `Resultados de búsqueda para: "${searchTerm}"`,
-      data: books,
+      data: books.map(book => shapeBook(book, view)),
       searchTerm,
+      matchType,
+      didYouMean,
       count: books.length
     });
 
@@ -583,39 +1104,73 @@ const searchBooks = async (req, res) => {
  * Propósito: Actualiza el stock de un libro específico
  */
 const updateBookStock = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
-    const { quantity, operation } = req.body; // operation: 'add' | 'reduce' | 'set'
+    const { quantity, operation, reason } = req.body; // operation: 'add' | 'reduce' | 'set'
 
-    const book = await Book.findById(id);
-    if (!book) {
-      return res.status(404).json({
+    if (!['add', 'reduce', 'set'].includes(operation)) {
+      return res.status(400).json({
         success: false,
-        message: 'Libro no encontrado'
+        message: 'Operación no válida. Use: add, reduce, o set'
       });
     }
 
-    switch (operation) {
-      case 'add':
-        await book.addStock(quantity);
-        break;
-      case 'reduce':
-        await book.reduceStock(quantity);
-        break;
-      case 'set':
-        book.stock = quantity;
-        await book.save();
-        break;
-      default:
-        return res.status(400).json({
-          success: false,
-          message: 'Operación no válida. Use: add, reduce, o set'
-        });
-    }
+    // Cada operación es una única actualización atómica en MongoDB (la reducción solo
+    // se aplica si stock >= quantity) y se confirma junto con su movimiento de inventario
+    let updatedBook;
+    let delta;
+    let resultingStock;
+    await session.withTransaction(async () => {
+      switch (operation) {
+        case 'add':
+          updatedBook = await Book.addStockById(id, quantity, { session });
+          delta = quantity;
+          resultingStock = updatedBook && updatedBook.stock;
+          break;
+        case 'reduce':
+          updatedBook = await Book.reduceStockById(id, quantity, { session });
+          delta = -quantity;
+          resultingStock = updatedBook && updatedBook.stock;
+          break;
+        case 'set': {
+          // Se pide el documento anterior para conocer la variación
+          const previousBook = await Book.setStockById(id, quantity, { new: false, session });
+          updatedBook = previousBook && await Book.findById(id).session(session);
+          delta = previousBook ? quantity - previousBook.stock : 0;
+          resultingStock = quantity;
+          break;
+        }
+      }
+
+      // null indica que el libro no existe o que el stock no alcanzó
+      if (!updatedBook) {
+        const currentBook = await Book.findById(id).select('stock').session(session);
+        if (!currentBook) {
+          throw createError('Libro no encontrado', 404);
+        }
+
+        const error = createError('Stock insuficiente', 409);
+        error.currentStock = currentBook.stock;
+        error.requested = quantity;
+        throw error;
+      }
+
+      await StockMovement.record({
+        book: updatedBook._id,
+        delta,
+        resultingStock,
+        operation,
+        reason,
+        user: req.user._id
+      }, { session });
+    });
+
+    // Avisar si la operación dejó el libro en o por debajo de su punto de reorden
+    const lowStockAlert = await checkLowStock(updatedBook, resultingStock - delta);
 
-    // Obtener el libro actualizado
-    const updatedBook = await Book.findById(id)
-      .populate('category', 'name description color');
+    await updatedBook.populate('category', 'name slug description color');
 
     res.status(200).json({
       success: true,
@@ -624,7 +1179,8 @@ const updateBookStock = async (req, res) => {
       stockChange: {
         operation,
         quantity,
-        newStock: updatedBook.stock
+        newStock: updatedBook.stock,
+        lowStockAlert
       }
     });
 
@@ -634,6 +1190,16 @@ const updateBookStock = async (req, res) => {
     if (res.headersSent) {
       return;
     }
+
+    // Libro inexistente o stock insuficiente para la reducción
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentStock: error.currentStock,
+        requested: error.requested
+      });
+    }
     
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -646,6 +1212,264 @@ const updateBookStock = async (req, res) => {
       success: false,
       message: 'Error al actualizar stock'
     });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Importar libros en lote
+ * @route   POST /api/books/import
+ * @access  Privado (Admin)
+ * Propósito: Recibe un CSV (Content-Type: text/csv) o un arreglo JSON de libros y
+ * devuelve un informe por fila. ?dryRun=true simula sin guardar y ?upsert=true
+ * actualiza los libros cuyo ISBN ya existe
+ */
+const importBooks = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const upsert = req.query.upsert === 'true';
+
+    // El CSV llega como texto; el JSON puede ser un arreglo o { books: [...] }
+    let rows;
+    if (typeof req.body === 'string') {
+      try {
+        rows = parseCsv(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (Array.isArray(req.body)) {
+      rows = req.body;
+    } else if (req.body && Array.isArray(req.body.books)) {
+      rows = req.body.books;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Envíe un arreglo JSON de libros o un archivo CSV (Content-Type: text/csv)'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El archivo no contiene libros'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Se pueden importar como máximo ${MAX_IMPORT_ROWS} libros por solicitud`
+      });
+    }
+
+    const { summary, rows: report } = await importBookRows(rows, {
+      dryRun,
+      upsert,
+      userId: req.user && req.user._id,
+      canWriteStock: requestHasPermission(req, 'stock:write')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Simulación completada: no se guardó ningún cambio'
+        : 'Importación completada',
+      dryRun,
+      upsert,
+      summary,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error en importBooks:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al importar libros'
+    });
+  }
+};
+
+/**
+ * Función para esperar a que la respuesta acepte más datos
+ * Propósito: Respeta la contrapresión del stream; también termina si el cliente se desconecta
+ */
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * @desc    Exportar el catálogo
+ * @route   GET /api/books/export
+ * @access  Privado (Admin)
+ * Propósito: Descarga los libros en CSV, JSON Lines u ONIX (XML) con los mismos filtros
+ * que GET /api/books. Se recorre un cursor de MongoDB y se escribe libro por libro,
+ * sin cargar el catálogo completo en memoria
+ */
+const exportBooks = async (req, res) => {
+  try {
+    const { format = 'csv', sort = '-createdAt', search } = req.query;
+    const exporter = EXPORT_FORMATS[format];
+
+    const filters = buildBookFilters(req.query);
+    const sortFields = parseSortParam(sort);
+
+    // Nombres de categoría en memoria: una consulta en lugar de una por libro
+    const categories = await Category.find().select('name').lean();
+    const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+
+    const query = Book.find(filters).select('-textLanguage -__v').sort(sortFields).lean();
+    if (sortFields.title && !search) {
+      query.collation(SPANISH_COLLATION);
+    }
+
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    res.status(200);
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="catalogo-${date}.${exporter.extension}"`);
+
+    const write = async (chunk) => {
+      if (chunk && !res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    };
+
+    await write(exporter.header());
+
+    for await (const book of query.cursor()) {
+      // El cliente cortó la descarga: se deja de leer (el cursor se cierra al salir del bucle)
+      if (res.destroyed) break;
+
+      await write(exporter.item({
+        ...book,
+        categoryName: categoryNames.get(String(book.category))
+      }));
+    }
+
+    await write(exporter.footer());
+    res.end();
+
+  } catch (error) {
+    console.error('Error en exportBooks:', error);
+
+    // Si la descarga ya empezó no se puede responder con JSON: se corta la conexión
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar el catálogo'
+    });
+  }
+};
+
+/**
+ * @desc    Obtener libros con stock bajo
+ * @route   GET /api/books/low-stock
+ * @access  Privado (Admin)
+ * Propósito: Lista los libros en o por debajo de su punto de reorden, los más urgentes primero.
+ * El punto de reorden es el del libro, o el de su categoría, o el valor global
+ */
+const getLowStockBooks = async (req, res) => {
+  try {
+    const books = await Book.aggregate([
+      // Los libros descontinuados no se reponen
+      { $match: { status: { $ne: 'descontinuado' } } },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: 'category',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          effectiveThreshold: {
+            $ifNull: [
+              '$reorderThreshold',
+              { $ifNull: ['$category.defaultReorderThreshold', inventoryConfig.defaultReorderThreshold] }
+            ]
+          }
+        }
+      },
+      { $match: { $expr: { $lte: ['$stock', '$effectiveThreshold'] } } },
+      {
+        $addFields: {
+          // Cobertura: fracción del punto de reorden que queda en stock (0 = agotado)
+          coverage: {
+            $cond: [
+              { $gt: ['$effectiveThreshold', 0] },
+              { $divide: ['$stock', '$effectiveThreshold'] },
+              0
+            ]
+          },
+          shortage: { $subtract: ['$effectiveThreshold', '$stock'] }
+        }
+      },
+      { $sort: { coverage: 1, shortage: -1, title: 1 } },
+      {
+        $project: {
+          title: 1,
+          author: 1,
+          isbn: 1,
+          stock: 1,
+          status: 1,
+          reorderThreshold: '$effectiveThreshold',
+          thresholdSource: {
+            $cond: [
+              { $ne: [{ $ifNull: ['$reorderThreshold', null] }, null] },
+              'book',
+              {
+                $cond: [
+                  { $ne: [{ $ifNull: ['$category.defaultReorderThreshold', null] }, null] },
+                  'category',
+                  'default'
+                ]
+              }
+            ]
+          },
+          shortage: 1,
+          category: { _id: '$category._id', name: '$category.name' }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Libros con stock bajo obtenidos exitosamente',
+      data: books,
+      count: books.length
+    });
+
+  } catch (error) {
+    console.error('Error en getLowStockBooks:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener libros con stock bajo'
+    });
   }
 };
 
@@ -748,7 +1572,11 @@ const getBookStats = async (req, res) => {
 module.exports = {
   getBooks,
   getBookById,
+  getBookByIsbn,
+  lookupBooksByIsbn,
+  enrichNewBook,
   createBook,
+  enrichBook,
   updateBook,
   deleteBook,
   getAvailableBooks,
@@ -756,5 +1584,8 @@ module.exports = {
   getFeaturedBooks,
   searchBooks,
   updateBookStock,
+  importBooks,
+  exportBooks,
+  getLowStockBooks,
   getBookStats
 };
\ No newline at end of file
@@ -1,5 +1,58 @@
+const mongoose = require('mongoose');
 const Category = require('../models/category');
 const { createError } = require('../middleware/errorHandler');
+const { paginateWithCursor } = require('../utils/cursorPagination');
+const { escapeRegex } = require('../utils/text');
+
+/**
+ * Función para validar la categoría padre
+ * Propósito: El padre debe existir, no puede ser la propia categoría ni una de sus
+ * subcategorías (eso formaría un ciclo) y una categoría activa no puede colgar
+ * de una inactiva. Lanza un error 400 si alguna regla no se cumple
+ * @param {string} parentId - Padre propuesto
+ * @param {Object} options
+ * @param {string} options.categoryId - Categoría que se mueve (undefined al crear)
+ * @param {boolean} options.isActive - Si la categoría quedará activa
+ */
+const checkParent = async (parentId, { categoryId, isActive = true } = {}) => {
+  if (categoryId && String(parentId) === String(categoryId)) {
+    throw createError('Una categoría no puede ser su propia categoría padre', 400);
+  }
+
+  const parent = await Category.findById(parentId).select('name isActive');
+  if (!parent) {
+    throw createError('La categoría padre no existe', 400);
+  }
+
+  if (categoryId) {
+    const ancestors = await Category.findAncestors(parentId);
+    if (ancestors.some(ancestor => ancestor._id.equals(categoryId))) {
+      throw createError('No se puede mover una categoría dentro de una de sus subcategorías', 400);
+    }
+  }
+
+  if (isActive && !parent.isActive) {
+    throw createError(`La categoría padre "${parent.name}" no está activa`, 400);
+  }
+
+  return parent;
+};
+
+/**
+ * Función para desactivar todas las subcategorías de una categoría
+ * Propósito: Una categoría inactiva no puede tener hijos activos
+ * @returns {Promise<number>} Cantidad de subcategorías desactivadas
+ */
+const deactivateDescendants = async (categoryId) => {
+  const descendantIds = await Category.findDescendantIds(categoryId);
+  if (descendantIds.length === 0) return 0;
+
+  const result = await Category.updateMany(
+    { _id: { $in: descendantIds }, isActive: true },
+    { isActive: false }
+  );
+  return result.modifiedCount;
+};
 
 /**
  * @desc    Obtener todas las categorías
@@ -8,7 +61,7 @@ const { createError } = require('../middleware/errorHandler');
  */
 const getCategories = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, isActive } = req.query;
+    const { page = 1, limit = 10, search, isActive, cursor } = req.query;
     
     const filters = {};
     
@@ -17,39 +70,58 @@ const getCategories = async (req, res) => {
     }
     
     if (search) {
+      const pattern = escapeRegex(search);
       filters.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } }
       ];
     }
 
     const skip = (page - 1) * limit;
-    
-    const [categories, total] = await Promise.all([
-      Category.find(filters)
-        .populate('bookCount')
-        .sort({ name: 1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
+    const sort = { name: 1 };
+
+    // Paginación por cursor: se activa enviando cursor (vacío para la primera página)
+    const useCursor = cursor !== undefined;
+    const query = Category.find(filters).populate('bookCount');
+
+    const [pageResult, total] = await Promise.all([
+      useCursor
+        ? paginateWithCursor(query, { sort, cursor, limit: parseInt(limit) })
+        : query.sort(sort).skip(skip).limit(parseInt(limit)),
       Category.countDocuments(filters)
     ]);
 
-    const totalPages = Math.ceil(total / limit);
-    const hasNextPage = page < totalPages;
-    const hasPrevPage = page > 1;
+    let categories;
+    let pagination;
+    if (useCursor) {
+      categories = pageResult.docs;
+      pagination = {
+        mode: 'cursor',
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: pageResult.hasNextPage,
+        hasPrevPage: pageResult.hasPrevPage,
+        nextCursor: pageResult.nextCursor,
+        prevCursor: pageResult.prevCursor
+      };
+    } else {
+      categories = pageResult;
+      const totalPages = Math.ceil(total / limit);
+      pagination = {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      };
+    }
 
     res.status(200).json({
       success: true,
       message: 'Categorías obtenidas exitosamente',
       data: categories,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNextPage,
-        hasPrevPage
-      }
+      pagination
     });
 
   } catch (error) {
@@ -58,6 +130,14 @@ const getCategories = async (req, res) => {
     if (res.headersSent) {
       return;
     }
+
+    // Errores esperados, como un cursor no válido
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -83,10 +163,20 @@ const getCategoryById = async (req, res) => {
       });
     }
 
+    const [ancestors, children] = await Promise.all([
+      Category.findAncestors(category._id),
+      Category.find({ parent: category._id }).select('name slug color isActive').sort({ name: 1 })
+    ]);
+
     res.status(200).json({
       success: true,
       message: 'Categoría obtenida exitosamente',
-      data: category
+      data: {
+        ...category.toJSON(),
+        // Ruta desde la raíz hasta la categoría, ej: Ciencia > Física > Cuántica
+        breadcrumbs: [...ancestors, { _id: category._id, name: category.name, slug: category.slug }],
+        children
+      }
     });
 
   } catch (error) {
@@ -119,8 +209,9 @@ const createCategory = async (req, res) => {
   try {
     const categoryData = req.body;
 
+    // El nombre se escapa para que caracteres como "(" o "+" se comparen literalmente
     const existingCategory = await Category.findOne({
-      name: { $regex: `^${categoryData.name}$`, $options: 'i' }
+      name: { $regex: `^${escapeRegex(categoryData.name)}$`, $options: 'i' }
     });
 
     if (existingCategory) {
@@ -130,6 +221,10 @@ const createCategory = async (req, res) => {
       });
     }
 
+    if (categoryData.parent) {
+      await checkParent(categoryData.parent, { isActive: categoryData.isActive !== false });
+    }
+
     const category = await Category.create(categoryData);
 
     const createdCategory = await Category.findById(category._id)
@@ -147,6 +242,14 @@ const createCategory = async (req, res) => {
     if (res.headersSent) {
       return;
     }
+
+    // Errores esperados, como una categoría padre no válida
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -193,7 +296,7 @@ const updateCategory = async (req, res) => {
 
     if (updateData.name && updateData.name !== category.name) {
       const existingCategory = await Category.findOne({
-        name: { $regex: `^${updateData.name}$`, $options: 'i' },
+        name: { $regex: `^${escapeRegex(updateData.name)}$`, $options: 'i' },
         _id: { $ne: id }
       });
 
@@ -203,8 +306,21 @@ const updateCategory = async (req, res) => {
           message: 'Ya existe una categoría con ese nombre'
         });
       }
+
+      // findByIdAndUpdate no ejecuta los middleware del documento: el slug se calcula aquí
+      const slugChanges = await category.getSlugChanges(updateData.name);
+      if (slugChanges) Object.assign(updateData, slugChanges);
     }
 
+    // Reglas de jerarquía con el padre y el estado que quedarán después de actualizar
+    const parentId = updateData.parent !== undefined ? updateData.parent : category.parent;
+    const willBeActive = updateData.isActive !== undefined ? updateData.isActive : category.isActive;
+    const parentChanged = updateData.parent !== undefined && String(updateData.parent) !== String(category.parent);
+    if (parentId && (parentChanged || (willBeActive && !category.isActive))) {
+      await checkParent(parentId, { categoryId: category._id, isActive: willBeActive });
+    }
+
+    const wasActive = category.isActive;
     category = await Category.findByIdAndUpdate(
       id,
       updateData,
@@ -214,10 +330,16 @@ const updateCategory = async (req, res) => {
       }
     ).populate('bookCount');
 
+    // Al desactivar una categoría se desactivan también sus subcategorías
+    const deactivatedChildren = wasActive && !category.isActive
+      ? await deactivateDescendants(category._id)
+      : 0;
+
     res.status(200).json({
       success: true,
       message: 'Categoría actualizada exitosamente',
-      data: category
+      data: category,
+      ...(deactivatedChildren > 0 && { deactivatedChildren })
     });
 
   } catch (error) {
@@ -226,6 +348,20 @@ const updateCategory = async (req, res) => {
     if (res.headersSent) {
       return;
     }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe una categoría con ese nombre'
+      });
+    }
     
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -252,14 +388,32 @@ const updateCategory = async (req, res) => {
   }
 };
 
+// Máximo de títulos que devuelve la vista previa de una eliminación
+const DELETE_PREVIEW_LIMIT = 100;
+
 /**
  * @desc    Eliminar categoría
  * @route   DELETE /api/categories/:id
  * @access  Público
+ * Propósito: Una categoría sin libros se elimina. Si tiene libros hay que elegir:
+ * - reassignTo: mueve todos sus libros a otra categoría activa y luego la elimina
+ * - force: la elimina igual y sus libros quedan sin categoría (se les quita el campo
+ *   category; hay que asignarles una nueva con PUT /api/books/:id)
+ * Sin ninguna de las dos opciones responde 409. Con preview=true solo informa
+ * qué pasaría (cantidad y títulos de los libros afectados) sin cambiar nada.
+ * Al eliminarla, sus subcategorías pasan a depender de su padre. El conteo de
+ * libros, el movimiento de libros y subcategorías y el borrado ocurren en una
+ * transacción: si entre tanto se agregan libros, no quedan apuntando a una
+ * categoría inexistente
  */
 const deleteCategory = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const { id } = req.params;
+    const { reassignTo } = req.query;
+    const force = req.query.force === 'true';
+    const preview = req.query.preview === 'true';
 
     const category = await Category.findById(id);
     if (!category) {
@@ -269,39 +423,146 @@ const deleteCategory = async (req, res) => {
       });
     }
 
+    // Categoría destino de los libros (ID o slug)
+    let target = null;
+    if (reassignTo) {
+      target = await Category.findByIdOrSlug(reassignTo);
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: 'La categoría destino no existe'
+        });
+      }
+      if (target._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'La categoría destino debe ser distinta de la que se elimina'
+        });
+      }
+      if (!target.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `La categoría destino "${target.name}" no está activa`
+        });
+      }
+    }
+
     const Book = require('../models/book');
-    const booksCount = await Book.countDocuments({ category: id });
 
-    if (booksCount > 0) {
-      category.isActive = false;
-      await category.save();
-      
-      res.status(200).json({
+    // Qué hacer según la cantidad de libros; null: hace falta reassignTo o force
+    const getSummary = async (options = {}) => {
+      const [booksCount, childrenCount] = await Promise.all([
+        Book.countDocuments({ category: category._id }, options),
+        Category.countDocuments({ parent: category._id }, options)
+      ]);
+
+      let action = 'eliminar';
+      if (booksCount > 0) {
+        if (target) action = 'reasignar';
+        else if (force) action = 'desvincular';
+        else action = null;
+      }
+
+      return {
+        id: category._id,
+        name: category.name,
+        booksCount,
+        childrenCount,
+        reassignTo: target ? { id: target._id, name: target.name } : undefined,
+        action
+      };
+    };
+
+    if (preview) {
+      const summary = await getSummary();
+      const books = await Book.find({ category: category._id })
+        .select('title isbn')
+        .sort({ title: 1 })
+        .limit(DELETE_PREVIEW_LIMIT)
+        .lean();
+
+      return res.status(200).json({
         success: true,
-        message: `Categoría desactivada (tiene ${booksCount} libros asociados)`,
-        data: { 
-          id: category._id,
-          name: category.name,
-          isActive: category.isActive,
-          booksCount 
+        preview: true,
+        message: 'Vista previa: no se realizó ningún cambio',
+        data: {
+          ...summary,
+          books,
+          hasMoreBooks: summary.booksCount > books.length
         }
       });
-    } else {
-      await Category.findByIdAndDelete(id);
-      
-      res.status(200).json({
-        success: true,
-        message: 'Categoría eliminada exitosamente',
-        data: { id }
-      });
     }
 
+    let result;
+    await session.withTransaction(async () => {
+      const { action, ...summary } = await getSummary({ session });
+
+      if (!action) {
+        const error = createError(
+          `La categoría tiene ${summary.booksCount} libros asociados: use reassignTo para moverlos a otra categoría o force=true para eliminarla y dejarlos sin categoría`,
+          409
+        );
+        error.data = summary;
+        throw error;
+      }
+
+      // Todos los libros pasan a la categoría destino (o quedan sin categoría) en una sola operación
+      let movedBooks = 0;
+      let uncategorizedBooks = 0;
+      if (action === 'reasignar') {
+        const { modifiedCount } = await Book.updateMany(
+          { category: category._id },
+          { category: target._id },
+          { session }
+        );
+        movedBooks = modifiedCount;
+      } else if (action === 'desvincular') {
+        const { modifiedCount } = await Book.updateMany(
+          { category: category._id },
+          { $unset: { category: 1 } },
+          { session }
+        );
+        uncategorizedBooks = modifiedCount;
+      }
+
+      // Las subcategorías suben un nivel para no quedar colgando de una categoría inexistente
+      const { modifiedCount: movedChildren } = await Category.updateMany(
+        { parent: category._id },
+        { parent: category.parent },
+        { session }
+      );
+      await Category.findByIdAndDelete(category._id, { session });
+
+      result = { ...summary, movedBooks, uncategorizedBooks, movedChildren, newParent: category.parent };
+    });
+
+    let message = 'Categoría eliminada exitosamente';
+    if (result.movedBooks > 0) {
+      message = `Categoría eliminada: ${result.movedBooks} libros se movieron a "${target.name}"`;
+    } else if (result.uncategorizedBooks > 0) {
+      message = `Categoría eliminada: ${result.uncategorizedBooks} libros quedaron sin categoría`;
+    }
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: result
+    });
+
   } catch (error) {
     console.error('Error en deleteCategory:', error);
     
     if (res.headersSent) {
       return;
     }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.data
+      });
+    }
     
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -309,11 +570,13 @@ const deleteCategory = async (req, res) => {
         message: 'ID de categoría no válido'
       });
     }
-
+    
     res.status(500).json({
       success: false,
       message: 'Error al eliminar categoría'
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -351,6 +614,8 @@ const getActiveCategories = async (req, res) => {
  * @desc    Activar/Desactivar categoría
  * @route   PATCH /api/categories/:id/toggle-status
  * @access  Público
+ * Propósito: Desactivar una categoría desactiva también sus subcategorías. Para activarla
+ * su padre debe estar activo; con ?includeDescendants=true se reactivan también sus subcategorías
  */
 const toggleCategoryStatus = async (req, res) => {
   try {
@@ -364,16 +629,41 @@ const toggleCategoryStatus = async (req, res) => {
       });
     }
 
+    // Para activarla su padre debe estar activo
+    if (!category.isActive && category.parent) {
+      const parent = await Category.findById(category.parent).select('name isActive');
+      if (parent && !parent.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: `No se puede activar: la categoría padre "${parent.name}" no está activa`
+        });
+      }
+    }
+
     category.isActive = !category.isActive;
     await category.save();
 
+    let affectedChildren = 0;
+    if (!category.isActive) {
+      affectedChildren = await deactivateDescendants(category._id);
+    } else if (req.query.includeDescendants === 'true') {
+      const descendantIds = await Category.findDescendantIds(category._id);
+      const result = await Category.updateMany(
+        { _id: { $in: descendantIds }, isActive: false },
+        { isActive: true }
+      );
+      affectedChildren = result.modifiedCount;
+    }
+
     res.status(200).json({
       success: true,
       message: `Categoría ${category.isActive ? 'activada' : 'desactivada'} exitosamente`,
       data: {
         id: category._id,
         name: category.name,
-        isActive: category.isActive
+        isActive: category.isActive,
+        // Subcategorías que cambiaron de estado junto con esta
+        affectedChildren
       }
     });
 
@@ -398,6 +688,78 @@ const toggleCategoryStatus = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Obtener el árbol de categorías
+ * @route   GET /api/categories/tree
+ * @access  Público
+ * Propósito: Devuelve las categorías anidadas por su padre. Cada nodo trae ownBookCount
+ * (libros de la propia categoría) y bookCount (incluye todas sus subcategorías).
+ * Con isActive se filtran los nodos; un nodo descartado se lleva su subárbol
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+    const Book = require('../models/book');
+
+    const [categories, counts] = await Promise.all([
+      Category.find()
+        .select('name slug description color isActive parent')
+        .sort({ name: 1 })
+        .collation({ locale: 'es' })
+        .lean(),
+      Book.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+
+    const countByCategory = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    const nodes = new Map(categories.map(category => [String(category._id), {
+      ...category,
+      ownBookCount: countByCategory.get(String(category._id)) || 0,
+      bookCount: 0,
+      children: []
+    }]));
+
+    // Las categorías cuyo padre ya no existe se muestran como raíces
+    const roots = [];
+    nodes.forEach((node) => {
+      const parent = node.parent && nodes.get(String(node.parent));
+      (parent ? parent.children : roots).push(node);
+    });
+
+    const matches = (node) => isActive === undefined || node.isActive === (isActive === 'true');
+
+    // Filtra y suma los libros de abajo hacia arriba
+    const build = (list) => list.filter(matches).map((node) => {
+      const children = build(node.children);
+      return {
+        ...node,
+        bookCount: node.ownBookCount + children.reduce((total, child) => total + child.bookCount, 0),
+        children
+      };
+    });
+
+    const tree = build(roots);
+
+    res.status(200).json({
+      success: true,
+      message: 'Árbol de categorías obtenido exitosamente',
+      data: tree,
+      count: tree.length
+    });
+
+  } catch (error) {
+    console.error('Error en getCategoryTree:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener el árbol de categorías'
+    });
+  }
+};
+
 /**
  * @desc    Obtener estadísticas de categorías
  * @route   GET /api/categories/stats
@@ -479,5 +841,6 @@ module.exports = {
   deleteCategory,
   getActiveCategories,
   toggleCategoryStatus,
+  getCategoryTree,
   getCategoryStats
 };
\ No newline at end of file
@@ -0,0 +1,649 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const Book = require('../models/book');
+const User = require('../models/user');
+const { loanConfig } = require('../config/library');
+const { notify } = require('../services/notifier');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Función para avisar a un usuario que su reserva está lista
+ * Propósito: Envía el aviso por el notificador configurado
+ */
+const notifyHoldReady = (hold, book) => notify({
+  type: 'hold-ready',
+  message: `"${book.title}" apartado para ${hold.user.email} hasta ${hold.expiresAt.toISOString()}`,
+  data: {
+    holdId: hold._id,
+    bookId: book._id,
+    title: book.title,
+    userId: hold.user._id,
+    email: hold.user.email,
+    expiresAt: hold.expiresAt
+  }
+});
+
+/**
+ * Función para atender la cola de reservas de un libro
+ * Propósito: Vence las reservas no retiradas y aparta los ejemplares libres
+ * para los siguientes usuarios de la cola, en orden de llegada. Es el único lugar
+ * donde se vencen reservas: el ejemplar que se libera pasa al siguiente de la cola
+ * antes de que otro usuario pueda llevárselo
+ */
+const processHoldQueue = async (bookId) => {
+  await Hold.expireOverdue(bookId);
+
+  const book = await Book.findById(bookId);
+  if (!book) return;
+
+  const reserved = await Hold.countReserved(bookId);
+  let freeCopies = book.availableCopies - reserved;
+
+  while (freeCopies > 0) {
+    const next = await Hold.findNextInQueue(bookId);
+    if (!next) break;
+
+    await next.markNotified(loanConfig.holdPickupDays);
+    await notifyHoldReady(next, book);
+    freeCopies--;
+  }
+};
+
+/**
+ * @desc    Pedir un libro prestado
+ * @route   POST /api/loans
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Presta un ejemplar al usuario, respetando el límite de préstamos y la cola de reservas.
+ * El descuento del ejemplar y el préstamo se guardan en una transacción
+ */
+const borrowBook = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { book: bookId } = req.body;
+    const userId = req.user._id;
+
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Libro no encontrado'
+      });
+    }
+    if (book.totalCopies === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este libro no tiene ejemplares para préstamo'
+      });
+    }
+
+    const activeLoans = await Loan.findActiveByUser(userId);
+    if (activeLoans.length >= loanConfig.maxActiveLoans) {
+      return res.status(409).json({
+        success: false,
+        message: `Has alcanzado el límite de ${loanConfig.maxActiveLoans} préstamos activos`,
+        activeLoans: activeLoans.length,
+        limit: loanConfig.maxActiveLoans
+      });
+    }
+    if (activeLoans.some(loan => loan.book.equals(book._id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya tienes un préstamo activo de este libro'
+      });
+    }
+
+    // Los ejemplares apartados para otros usuarios no se pueden prestar
+    await processHoldQueue(book._id);
+    const reservedForOthers = await Hold.countReserved(book._id, userId);
+
+    let loan;
+    await session.withTransaction(async () => {
+      // Escribir en el usuario hace que dos préstamos simultáneos suyos choquen: el segundo
+      // se reintenta y ya cuenta el primero al revisar el límite
+      await User.updateOne({ _id: userId }, { $set: { updatedAt: new Date() } }, { session });
+
+      const activeCount = await Loan.countDocuments({ user: userId, status: 'activo' }, { session });
+      if (activeCount >= loanConfig.maxActiveLoans) {
+        throw createError(`Has alcanzado el límite de ${loanConfig.maxActiveLoans} préstamos activos`, 409);
+      }
+
+      // Descuento atómico: solo se presta si queda un ejemplar libre
+      const updatedBook = await Book.findOneAndUpdate(
+        { _id: book._id, availableCopies: { $gt: reservedForOthers } },
+        { $inc: { availableCopies: -1 } },
+        { new: true, session }
+      );
+
+      if (!updatedBook) {
+        const error = createError('No hay ejemplares disponibles. Puedes hacer una reserva.', 409);
+        error.holdUrl = '/api/loans/holds';
+        throw error;
+      }
+
+      [loan] = await Loan.create([{
+        user: userId,
+        book: book._id,
+        dueDate: new Date(Date.now() + loanConfig.loanPeriodDays * DAY_MS)
+      }], { session });
+
+      // Si el usuario tenía una reserva de este libro, queda completada
+      await Hold.updateMany(
+        { user: userId, book: book._id, status: { $in: ['en espera', 'notificado'] } },
+        { status: 'completado' },
+        { session }
+      );
+    });
+
+    const createdLoan = await Loan.findById(loan._id)
+      .populate('book', 'title author isbn');
+
+    res.status(201).json({
+      success: true,
+      message: 'Préstamo registrado exitosamente',
+      data: createdLoan
+    });
+
+  } catch (error) {
+    console.error('Error en borrowBook:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        holdUrl: error.holdUrl
+      });
+    }
+
+    // Índice único de préstamos activos por usuario y libro: pedido simultáneo
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya tienes un préstamo activo de este libro'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al registrar préstamo'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Devolver un libro prestado
+ * @route   PATCH /api/loans/:id/return
+ * @access  Privado (Dueño del préstamo o Admin)
+ * Propósito: Marca el préstamo como devuelto y aparta el ejemplar para la cola de reservas
+ */
+const returnLoan = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Préstamo no encontrado'
+      });
+    }
+    if (!loan.user.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar este préstamo'
+      });
+    }
+    if (loan.status === 'devuelto') {
+      return res.status(400).json({
+        success: false,
+        message: 'Este préstamo ya fue devuelto'
+      });
+    }
+
+    const daysOverdue = loan.daysOverdue;
+
+    // El ejemplar vuelve al stock solo si esta petición fue la que cerró el préstamo
+    let returnedLoan;
+    await session.withTransaction(async () => {
+      returnedLoan = await Loan.markReturnedById(loan._id, { session });
+      if (!returnedLoan) {
+        throw createError('Este préstamo ya fue devuelto', 400);
+      }
+
+      await Book.findByIdAndUpdate(loan.book, { $inc: { availableCopies: 1 } }, { session });
+    });
+
+    await processHoldQueue(loan.book);
+
+    res.status(200).json({
+      success: true,
+      message: 'Libro devuelto exitosamente',
+      data: returnedLoan,
+      wasOverdue: daysOverdue > 0,
+      daysOverdue
+    });
+
+  } catch (error) {
+    console.error('Error en returnLoan:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de préstamo no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al devolver libro'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Renovar un préstamo
+ * @route   PATCH /api/loans/:id/renew
+ * @access  Privado (Dueño del préstamo o Admin)
+ * Propósito: Extiende la fecha de devolución si no está vencido, no superó
+ * el máximo de renovaciones y nadie está esperando el libro
+ */
+const renewLoan = async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Préstamo no encontrado'
+      });
+    }
+    if (!loan.user.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar este préstamo'
+      });
+    }
+    if (loan.status === 'devuelto') {
+      return res.status(400).json({
+        success: false,
+        message: 'No se puede renovar un préstamo devuelto'
+      });
+    }
+    if (loan.isOverdue) {
+      return res.status(409).json({
+        success: false,
+        message: 'No se puede renovar un préstamo vencido',
+        daysOverdue: loan.daysOverdue
+      });
+    }
+    if (loan.renewals >= loanConfig.maxRenewals) {
+      return res.status(409).json({
+        success: false,
+        message: `Se alcanzó el máximo de ${loanConfig.maxRenewals} renovaciones`
+      });
+    }
+
+    const waiting = await Hold.countDocuments({ book: loan.book, status: 'en espera' });
+    if (waiting > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'No se puede renovar: hay usuarios esperando este libro',
+        waiting
+      });
+    }
+
+    loan.dueDate = new Date(loan.dueDate.getTime() + loanConfig.loanPeriodDays * DAY_MS);
+    loan.renewals += 1;
+    await loan.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Préstamo renovado exitosamente',
+      data: loan,
+      renewalsLeft: loanConfig.maxRenewals - loan.renewals
+    });
+
+  } catch (error) {
+    console.error('Error en renewLoan:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de préstamo no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al renovar préstamo'
+    });
+  }
+};
+
+/**
+ * @desc    Obtener los préstamos del usuario actual
+ * @route   GET /api/loans/mine
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Lista los préstamos del usuario, opcionalmente filtrados por estado
+ */
+const getMyLoans = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filters = { user: req.user._id };
+    if (status) {
+      filters.status = status;
+    }
+
+    const loans = await Loan.find(filters)
+      .populate('book', 'title author isbn')
+      .sort({ borrowedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Préstamos obtenidos exitosamente',
+      data: loans,
+      count: loans.length,
+      limits: {
+        maxActiveLoans: loanConfig.maxActiveLoans,
+        activeLoans: loans.filter(loan => loan.status === 'activo').length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getMyLoans:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener préstamos'
+    });
+  }
+};
+
+/**
+ * @desc    Obtener préstamos vencidos
+ * @route   GET /api/loans/overdue
+ * @access  Privado (Admin)
+ * Propósito: Lista los préstamos activos cuya fecha de devolución ya pasó
+ */
+const getOverdueLoans = async (req, res) => {
+  try {
+    const loans = await Loan.findOverdue()
+      .populate('user', 'name email')
+      .populate('book', 'title author isbn');
+
+    res.status(200).json({
+      success: true,
+      message: 'Préstamos vencidos obtenidos exitosamente',
+      data: loans,
+      count: loans.length
+    });
+
+  } catch (error) {
+    console.error('Error en getOverdueLoans:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener préstamos vencidos'
+    });
+  }
+};
+
+/**
+ * @desc    Reservar un libro agotado
+ * @route   POST /api/loans/holds
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Agrega al usuario a la cola FIFO de un libro sin ejemplares libres
+ */
+const placeHold = async (req, res) => {
+  try {
+    const { book: bookId } = req.body;
+    const userId = req.user._id;
+
+    const book = await Book.findById(bookId);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Libro no encontrado'
+      });
+    }
+    if (book.totalCopies === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este libro no tiene ejemplares para préstamo'
+      });
+    }
+
+    // Solo se reservan libros agotados para préstamo
+    await processHoldQueue(book._id);
+    const reserved = await Hold.countReserved(book._id, userId);
+    if (book.availableCopies > reserved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Hay ejemplares disponibles. Puedes pedirlo prestado directamente.',
+        availableCopies: book.availableCopies - reserved
+      });
+    }
+
+    const activeLoan = await Loan.findOne({ user: userId, book: book._id, status: 'activo' });
+    if (activeLoan) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya tienes un préstamo activo de este libro'
+      });
+    }
+
+    const existingHold = await Hold.findOne({
+      user: userId,
+      book: book._id,
+      status: { $in: ['en espera', 'notificado'] }
+    });
+    if (existingHold) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya tienes una reserva de este libro',
+        holdId: existingHold._id
+      });
+    }
+
+    const hold = await Hold.create({ user: userId, book: book._id });
+
+    const position = await Hold.countDocuments({
+      book: book._id,
+      status: 'en espera',
+      createdAt: { $lte: hold.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reserva registrada exitosamente',
+      data: hold,
+      position
+    });
+
+  } catch (error) {
+    console.error('Error en placeHold:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al registrar reserva'
+    });
+  }
+};
+
+/**
+ * @desc    Obtener las reservas del usuario actual
+ * @route   GET /api/loans/holds/mine
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Lista las reservas vigentes del usuario con su posición en la cola
+ */
+const getMyHolds = async (req, res) => {
+  try {
+    const holds = await Hold.find({
+      user: req.user._id,
+      status: { $in: ['en espera', 'notificado'] }
+    })
+      .populate('book', 'title author isbn')
+      .sort({ createdAt: 1 });
+
+    const data = await Promise.all(holds.map(async (hold) => {
+      const position = hold.status === 'en espera'
+        ? await Hold.countDocuments({
+          book: hold.book._id,
+          status: 'en espera',
+          createdAt: { $lte: hold.createdAt }
+        })
+        : 0;
+
+      return { ...hold.toObject(), position };
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Reservas obtenidas exitosamente',
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('Error en getMyHolds:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener reservas'
+    });
+  }
+};
+
+/**
+ * @desc    Cancelar una reserva
+ * @route   DELETE /api/loans/holds/:id
+ * @access  Privado (Dueño de la reserva o Admin)
+ * Propósito: Saca al usuario de la cola; si tenía un ejemplar apartado, pasa al siguiente
+ */
+const cancelHold = async (req, res) => {
+  try {
+    const hold = await Hold.findById(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva no encontrada'
+      });
+    }
+    if (!hold.user.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para cancelar esta reserva'
+      });
+    }
+    if (!['en espera', 'notificado'].includes(hold.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `La reserva ya está ${hold.status}`
+      });
+    }
+
+    const hadReservedCopy = hold.status === 'notificado';
+
+    hold.status = 'cancelado';
+    await hold.save();
+
+    if (hadReservedCopy) {
+      await processHoldQueue(hold.book);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reserva cancelada exitosamente',
+      data: { id: hold._id }
+    });
+
+  } catch (error) {
+    console.error('Error en cancelHold:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de reserva no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al cancelar reserva'
+    });
+  }
+};
+
+module.exports = {
+  borrowBook,
+  returnLoan,
+  renewLoan,
+  getMyLoans,
+  getOverdueLoans,
+  placeHold,
+  getMyHolds,
+  cancelHold
+};
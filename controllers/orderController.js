@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Book = require('../models/book');
+const StockMovement = require('../models/stockMovement');
+const { createError } = require('../middleware/errorHandler');
+const { checkLowStock } = require('../services/stockAlerts');
+
+/**
+ * @desc    Crear pedido (checkout)
+ * @route   POST /api/orders
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Descuenta el stock de todas las líneas y registra el pedido.
+ * Todo ocurre dentro de una transacción: si una línea falla, no se descuenta nada
+ */
+const createOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    // Agrupar líneas repetidas del mismo libro
+    const quantities = new Map();
+    req.body.items.forEach(({ book, quantity }) => {
+      quantities.set(book, (quantities.get(book) || 0) + quantity);
+    });
+
+    let order;
+    let stockChanges;
+
+    // El ID se genera antes para referenciarlo en el historial de inventario
+    const orderId = new mongoose.Types.ObjectId();
+
+    await session.withTransaction(async () => {
+      const items = [];
+      stockChanges = [];
+
+      for (const [bookId, quantity] of quantities) {
+        const book = await Book.findById(bookId).session(session);
+
+        if (!book) {
+          throw createError(`Libro no encontrado: ${bookId}`, 404);
+        }
+        if (book.status !== 'disponible') {
+          throw createError(`El libro "${book.title}" no está disponible`, 409);
+        }
+
+        // Reducción atómica (stock >= quantity) dentro de la transacción
+        const updatedBook = await Book.reduceStockById(book._id, quantity, { session });
+        if (!updatedBook) {
+          throw createError(`Stock insuficiente para "${book.title}" (disponible: ${book.stock})`, 409);
+        }
+
+        await StockMovement.record({
+          book: book._id,
+          delta: -quantity,
+          resultingStock: updatedBook.stock,
+          operation: 'order',
+          reason: `Pedido ${orderId}`,
+          user: req.user._id
+        }, { session });
+
+        stockChanges.push({ book: updatedBook, previousStock: updatedBook.stock + quantity });
+
+        items.push({
+          book: book._id,
+          title: book.title,
+          price: book.price,
+          quantity,
+          subtotal: Math.round(book.price * quantity * 100) / 100
+        });
+      }
+
+      [order] = await Order.create([{
+        _id: orderId,
+        user: req.user._id,
+        items,
+        total: items.reduce((sum, item) => sum + item.subtotal, 0)
+      }], { session });
+    });
+
+    // Los avisos de stock bajo se envían solo si la transacción se confirmó
+    for (const { book, previousStock } of stockChanges) {
+      await checkLowStock(book, previousStock);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Pedido creado exitosamente',
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error en createOrder:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    // Errores de negocio lanzados dentro de la transacción
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear pedido'
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * @desc    Obtener los pedidos del usuario actual
+ * @route   GET /api/orders/mine
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Historial de pedidos del usuario autenticado
+ */
+const getMyOrders = async (req, res) => {
+  try {
+    const orders = await Order.findByUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Historial de pedidos obtenido exitosamente',
+      data: orders,
+      count: orders.length
+    });
+
+  } catch (error) {
+    console.error('Error en getMyOrders:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener historial de pedidos'
+    });
+  }
+};
+
+/**
+ * @desc    Obtener un pedido por ID
+ * @route   GET /api/orders/:id
+ * @access  Privado (Dueño del pedido o Admin)
+ * Propósito: Obtiene el detalle de un pedido
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('user', 'name email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pedido no encontrado'
+      });
+    }
+
+    if (!order.user._id.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver este pedido'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Pedido obtenido exitosamente',
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error en getOrderById:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de pedido no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener pedido'
+    });
+  }
+};
+
+/**
+ * @desc    Obtener todos los pedidos
+ * @route   GET /api/orders
+ * @access  Privado (Admin)
+ * Propósito: Lista todos los pedidos con paginación
+ */
+const getOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filters = {};
+    if (status) {
+      filters.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filters)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Order.countDocuments(filters)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pedidos obtenidos exitosamente',
+      data: orders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getOrders:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener pedidos'
+    });
+  }
+};
+
+module.exports = {
+  createOrder,
+  getMyOrders,
+  getOrderById,
+  getOrders
+};
@@ -0,0 +1,291 @@
+const Review = require('../models/review');
+const Book = require('../models/book');
+const { requestHasPermission } = require('../config/permissions');
+
+/**
+ * @desc    Obtener las reseñas de un libro
+ * @route   GET /api/books/:id/reviews
+ * @access  Público
+ * Propósito: Lista las reseñas de un libro con paginación
+ */
+const getBookReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const book = await Book.findById(id).select('title averageRating reviewCount');
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Libro no encontrado'
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      Review.find({ book: id })
+        .populate('user', 'name avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments({ book: id })
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reseñas obtenidas exitosamente',
+      data: reviews,
+      book: {
+        id: book._id,
+        title: book.title,
+        averageRating: book.averageRating,
+        reviewCount: book.reviewCount
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getBookReviews:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener reseñas'
+    });
+  }
+};
+
+/**
+ * @desc    Crear reseña de un libro
+ * @route   POST /api/books/:id/reviews
+ * @access  Privado (Usuario autenticado)
+ * Propósito: Registra la reseña del usuario actual; solo se permite una por libro
+ */
+const createReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const book = await Book.findById(id);
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Libro no encontrado'
+      });
+    }
+
+    const existingReview = await Review.findOne({ book: id, user: req.user._id });
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya has publicado una reseña para este libro',
+        reviewId: existingReview._id
+      });
+    }
+
+    // El post-save del modelo recalcula averageRating y reviewCount
+    const review = await Review.create({
+      ...req.body,
+      book: id,
+      user: req.user._id
+    });
+
+    const createdReview = await Review.findById(review._id)
+      .populate('user', 'name avatar');
+
+    res.status(201).json({
+      success: true,
+      message: 'Reseña creada exitosamente',
+      data: createdReview
+    });
+
+  } catch (error) {
+    console.error('Error en createReview:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    // Índice único { book, user }: reseña creada en paralelo
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya has publicado una reseña para este libro'
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear reseña'
+    });
+  }
+};
+
+/**
+ * @desc    Actualizar reseña
+ * @route   PUT /api/books/:id/reviews/:reviewId
+ * @access  Privado (Autor de la reseña o permiso reviews:moderate)
+ * Propósito: Modifica la calificación o el comentario de una reseña existente
+ */
+const updateReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    const review = await Review.findOne({ _id: reviewId, book: id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reseña no encontrada'
+      });
+    }
+
+    if (!review.user.equals(req.user._id) && !requestHasPermission(req, 'reviews:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar esta reseña'
+      });
+    }
+
+    // Se usa save() para que el post-save recalcule el rating del libro
+    review.set(req.body);
+    await review.save();
+
+    const updatedReview = await Review.findById(review._id)
+      .populate('user', 'name avatar');
+
+    res.status(200).json({
+      success: true,
+      message: 'Reseña actualizada exitosamente',
+      data: updatedReview
+    });
+
+  } catch (error) {
+    console.error('Error en updateReview:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar reseña'
+    });
+  }
+};
+
+/**
+ * @desc    Eliminar reseña
+ * @route   DELETE /api/books/:id/reviews/:reviewId
+ * @access  Privado (Autor de la reseña o permiso reviews:moderate)
+ * Propósito: Elimina una reseña y recalcula el rating del libro
+ */
+const deleteReview = async (req, res) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    const review = await Review.findOne({ _id: reviewId, book: id });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reseña no encontrada'
+      });
+    }
+
+    if (!review.user.equals(req.user._id) && !requestHasPermission(req, 'reviews:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para eliminar esta reseña'
+      });
+    }
+
+    // El post-findOneAndDelete del modelo recalcula el rating del libro
+    await Review.findOneAndDelete({ _id: reviewId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Reseña eliminada exitosamente',
+      data: { id: reviewId }
+    });
+
+  } catch (error) {
+    console.error('Error en deleteReview:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID proporcionado no es válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar reseña'
+    });
+  }
+};
+
+module.exports = {
+  getBookReviews,
+  createReview,
+  updateReview,
+  deleteReview
+};
@@ -0,0 +1,157 @@
+const Book = require('../models/book');
+const StockMovement = require('../models/stockMovement');
+
+/**
+ * @desc    Obtener historial de stock de un libro
+ * @route   GET /api/books/:id/stock/history
+ * @access  Privado (Admin)
+ * Propósito: Lista los movimientos de inventario de un libro, del más reciente al más antiguo
+ */
+const getStockHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, operation } = req.query;
+
+    const book = await Book.findById(id).select('title isbn stock');
+    if (!book) {
+      return res.status(404).json({
+        success: false,
+        message: 'Libro no encontrado'
+      });
+    }
+
+    const filters = { book: id };
+    if (operation) {
+      filters.operation = operation;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filters)
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StockMovement.countDocuments(filters)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Historial de stock obtenido exitosamente',
+      data: movements,
+      book: {
+        id: book._id,
+        title: book.title,
+        isbn: book.isbn,
+        currentStock: book.stock
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getStockHistory:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener historial de stock'
+    });
+  }
+};
+
+/**
+ * @desc    Reporte de stock a una fecha pasada
+ * @route   GET /api/books/stock/report
+ * @access  Privado (Admin)
+ * Propósito: Reconstruye el stock de cada libro en una fecha restando al stock
+ * actual los movimientos registrados después de esa fecha
+ */
+const getStockReport = async (req, res) => {
+  try {
+    const { date, book } = req.query;
+    const reportDate = new Date(date);
+
+    // Solo los libros que ya existían en la fecha pedida
+    const bookFilters = { createdAt: { $lte: reportDate } };
+    if (book) {
+      bookFilters._id = book;
+    }
+
+    const books = await Book.find(bookFilters)
+      .select('title isbn stock')
+      .sort({ title: 1 });
+
+    const deltas = await StockMovement.sumDeltasSince(
+      reportDate,
+      book ? books.map(b => b._id) : undefined
+    );
+
+    const data = books.map(b => {
+      const deltaSince = deltas.get(b._id.toString()) || 0;
+      return {
+        id: b._id,
+        title: b.title,
+        isbn: b.isbn,
+        currentStock: b.stock,
+        stockAtDate: b.stock - deltaSince,
+        changeSinceDate: deltaSince
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock reconstruido al ${reportDate.toISOString()}`,
+      data,
+      date: reportDate,
+      totals: {
+        books: data.length,
+        stockAtDate: data.reduce((sum, item) => sum + item.stockAtDate, 0),
+        currentStock: data.reduce((sum, item) => sum + item.currentStock, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getStockReport:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de libro no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar reporte de stock'
+    });
+  }
+};
+
+module.exports = {
+  getStockHistory,
+  getStockReport
+};
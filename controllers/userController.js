@@ -0,0 +1,277 @@
+const User = require('../models/user');
+const { escapeRegex } = require('../utils/text');
+const { getRolePermissions } = require('../config/permissions');
+const { createError } = require('../middleware/errorHandler');
+
+const isActiveAdmin = (user) => user.role === 'admin' && user.isActive;
+
+/**
+ * Función para cambiar el rol o el estado de un usuario sin dejar la API sin administradores
+ * Propósito: Sin al menos un administrador activo nadie podría volver a asignar roles
+ * ni reactivar cuentas desde la API. El cambio se aplica solo si el usuario sigue como
+ * se leyó y, si deja de ser administrador activo, se cuentan los que quedan: si no queda
+ * ninguno (otra petición quitó al otro al mismo tiempo) se revierte y se lanza 409.
+ * Dos peticiones simultáneas pueden fallar las dos, pero nunca dejan cero administradores
+ * @param {Object} user - Usuario tal como se leyó
+ * @param {Object} changes - { role } o { isActive }
+ * @param {string} lastAdminMessage - Mensaje del 409 si era el último administrador activo
+ * @returns {Promise<Object>} Usuario actualizado
+ */
+const updateKeepingAnAdmin = async (user, changes, lastAdminMessage) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, role: user.role, isActive: user.isActive },
+    { $set: changes },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw createError('El usuario se modificó mientras se actualizaba; vuelve a intentarlo', 409);
+  }
+
+  if (isActiveAdmin(user) && !isActiveAdmin(updated)) {
+    const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+    if (activeAdmins === 0) {
+      await User.updateOne(
+        { _id: user._id, ...changes },
+        { $set: { role: user.role, isActive: user.isActive } }
+      );
+      throw createError(lastAdminMessage, 409);
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * @desc    Obtener usuarios
+ * @route   GET /auth/users
+ * @access  Privado (permiso users:read)
+ * Propósito: Lista los usuarios con búsqueda por nombre o email y filtros por rol,
+ * proveedor y estado, los más nuevos primero
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, role, provider, isActive } = req.query;
+
+    const filters = {};
+
+    if (role) {
+      filters.role = role;
+    }
+
+    if (provider) {
+      filters.provider = provider;
+    }
+
+    if (isActive !== undefined) {
+      filters.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      const pattern = escapeRegex(search.trim());
+      filters.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [users, total] = await Promise.all([
+      User.find(filters)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      User.countDocuments(filters)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Usuarios obtenidos exitosamente',
+      data: users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error en getUsers:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener usuarios',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cambiar el rol de un usuario
+ * @route   PATCH /auth/users/:id/role
+ * @access  Privado (permiso users:manage)
+ * Propósito: Reemplaza a scripts/createAdmin.js para promover o quitar permisos.
+ * No permite quitarle el rol al último administrador activo
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(200).json({
+        success: true,
+        message: `El usuario ya tenía el rol ${role}`,
+        data: user,
+        permissions: getRolePermissions(role)
+      });
+    }
+
+    const updatedUser = await updateKeepingAnAdmin(
+      user,
+      { role },
+      'No se puede quitar el rol al último administrador activo. Asigna otro administrador primero'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Rol actualizado de ${user.role} a ${role}`,
+      data: updatedUser,
+      permissions: getRolePermissions(role)
+    });
+
+  } catch (error) {
+    console.error('Error en updateUserRole:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de usuario no válido'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar el rol del usuario'
+    });
+  }
+};
+
+/**
+ * @desc    Activar o desactivar un usuario
+ * @route   PATCH /auth/users/:id/status
+ * @access  Privado (permiso users:manage)
+ * Propósito: Un usuario desactivado no puede iniciar sesión y pierde el acceso de
+ * inmediato: se rechaza su sesión, sus tokens y sus claves de API. No se permite
+ * desactivar la propia cuenta ni al último administrador activo
+ */
+const updateUserStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    if (user.isActive === isActive) {
+      return res.status(200).json({
+        success: true,
+        message: `El usuario ya estaba ${isActive ? 'activo' : 'desactivado'}`,
+        data: user
+      });
+    }
+
+    if (!isActive && user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No puedes desactivar tu propia cuenta'
+      });
+    }
+
+    const updatedUser = await updateKeepingAnAdmin(
+      user,
+      { isActive },
+      'No se puede desactivar al último administrador activo'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Usuario ${isActive ? 'activado' : 'desactivado'} exitosamente`,
+      data: updatedUser
+    });
+
+  } catch (error) {
+    console.error('Error en updateUserStatus:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de usuario no válido'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar el estado del usuario'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUserRole,
+  updateUserStatus
+};
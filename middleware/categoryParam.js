@@ -0,0 +1,43 @@
+const Category = require('../models/category');
+
+/**
+ * Middleware para aceptar un ID o un slug de categoría en la URL
+ * Propósito: Si el parámetro es un ObjectId se deja igual; si es un slug se busca la
+ * categoría y se reemplaza por su ID, para que los controladores sigan trabajando con IDs.
+ * Un GET con un slug anterior (la categoría se renombró) redirige con 301 a la URL actual
+ * @param {string} paramName - Nombre del parámetro de la ruta
+ */
+const resolveCategoryParam = (paramName = 'id') => {
+  return async (req, res, next) => {
+    const value = req.params[paramName];
+
+    if (/^[0-9a-fA-F]{24}$/.test(value)) {
+      return next();
+    }
+
+    try {
+      const result = await Category.findBySlug(value);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+
+      const { category, oldSlug } = result;
+
+      if (oldSlug && req.method === 'GET') {
+        const location = req.originalUrl.replace(`/${encodeURIComponent(value)}`, `/${category.slug}`);
+        return res.redirect(301, location);
+      }
+
+      req.params[paramName] = category._id.toString();
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { resolveCategoryParam };
@@ -107,7 +107,7 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
-  // Error de token JWT (para cuando implementemos autenticación)
+  // Error de token JWT (Authorization: Bearer)
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
       success: false,
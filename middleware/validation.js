@@ -1,4 +1,19 @@
 const Joi = require('joi');
+const { toIsbn13 } = require('../utils/isbn');
+const { apiKeyConfig } = require('../config/library');
+const { ROLES } = require('../config/permissions');
+
+/**
+ * Esquema de ISBN
+ * Propósito: Acepta ISBN-10 o ISBN-13 con o sin guiones, verifica el dígito de control
+ * y lo convierte al ISBN-13 sin guiones con el que se guarda el libro
+ */
+const isbnSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => toIsbn13(value) || helpers.error('isbn.invalid'))
+  .messages({
+    'isbn.invalid': 'El ISBN no es válido: debe ser un ISBN-10 o ISBN-13 con dígito de control correcto'
+  });
 
 /**
  * Esquema de validación para Categorías
@@ -36,7 +51,24 @@ const categoryValidationSchema = {
         'string.pattern.base': 'El color debe ser un código hexadecimal válido'
       }),
     
-    isActive: Joi.boolean().optional()
+    isActive: Joi.boolean().optional(),
+
+    parent: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.pattern.base': 'La categoría padre debe ser un ID de MongoDB válido'
+      }),
+
+    defaultReorderThreshold: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .messages({
+        'number.base': 'El punto de reorden debe ser un número',
+        'number.min': 'El punto de reorden no puede ser negativo'
+      })
   }),
 
   // Para actualizar categoría (todos los campos opcionales)
@@ -44,8 +76,32 @@ const categoryValidationSchema = {
     name: Joi.string().trim().min(2).max(50).optional(),
     description: Joi.string().trim().min(10).max(200).optional(),
     color: Joi.string().pattern(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).optional(),
+    isActive: Joi.boolean().optional(),
+    // null la convierte en categoría raíz
+    parent: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional(),
+    defaultReorderThreshold: Joi.number().integer().min(0).allow(null).optional()
+  }),
+
+  // Opciones del árbol de categorías
+  treeQuery: Joi.object({
     isActive: Joi.boolean().optional()
+  }),
+
+  // Opciones de activar/desactivar
+  toggleQuery: Joi.object({
+    includeDescendants: Joi.boolean().optional()
+  }),
+
+  // Opciones de eliminación: reassignTo (ID o slug) y force son excluyentes
+  deleteQuery: Joi.object({
+    reassignTo: Joi.string().trim().max(100).optional(),
+    force: Joi.boolean().optional(),
+    preview: Joi.boolean().optional()
   })
+    .oxor('reassignTo', 'force')
+    .messages({
+      'object.oxor': 'Use reassignTo o force, no ambos'
+    })
 };
 
 /**
@@ -76,13 +132,11 @@ const bookValidationSchema = {
         'string.max': 'El nombre del autor no puede exceder 100 caracteres'
       }),
     
-    isbn: Joi.string()
-      .trim()
-      .pattern(/^(?:\d{9}[\dX]|\d{13})$/)
+    isbn: isbnSchema
       .required()
       .messages({
         'string.empty': 'El ISBN es obligatorio',
-        'string.pattern.base': 'El ISBN debe tener formato válido (10 o 13 dígitos)'
+        'any.required': 'El ISBN es obligatorio'
       }),
     
     description: Joi.string()
@@ -171,16 +225,32 @@ const bookValidationSchema = {
         'string.pattern.base': 'La imagen debe terminar en jpg, jpeg, png, gif o webp'
       }),
     
-    averageRating: Joi.number().min(0).max(5).optional(),
-    reviewCount: Joi.number().integer().min(0).optional(),
-    isFeatured: Joi.boolean().optional()
+    isFeatured: Joi.boolean().optional(),
+
+    totalCopies: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .messages({
+        'number.base': 'El número de ejemplares debe ser un número',
+        'number.min': 'El número de ejemplares no puede ser negativo'
+      }),
+
+    reorderThreshold: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
+      .messages({
+        'number.base': 'El punto de reorden debe ser un número',
+        'number.min': 'El punto de reorden no puede ser negativo'
+      })
   }),
 
   // Para actualizar libro (todos los campos opcionales)
   update: Joi.object({
     title: Joi.string().trim().min(1).max(200).optional(),
     author: Joi.string().trim().min(2).max(100).optional(),
-    isbn: Joi.string().trim().pattern(/^(?:\d{9}[\dX]|\d{13})$/).optional(),
+    isbn: isbnSchema.optional(),
     description: Joi.string().trim().min(10).max(1000).optional(),
     category: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
     publishedDate: Joi.date().max('now').optional(),
@@ -191,9 +261,393 @@ const bookValidationSchema = {
     stock: Joi.number().integer().min(0).optional(),
     status: Joi.string().valid('disponible', 'agotado', 'descontinuado', 'próximamente').optional(),
     coverImage: Joi.string().uri().pattern(/\.(jpg|jpeg|png|gif|webp)$/i).optional(),
-    averageRating: Joi.number().min(0).max(5).optional(),
-    reviewCount: Joi.number().integer().min(0).optional(),
-    isFeatured: Joi.boolean().optional()
+    isFeatured: Joi.boolean().optional(),
+    totalCopies: Joi.number().integer().min(0).optional(),
+    // null vuelve a usar el punto de reorden de la categoría
+    reorderThreshold: Joi.number().integer().min(0).allow(null).optional()
+  }),
+
+  // Libros de una categoría (?includeDescendants=true suma sus subcategorías)
+  categoryQuery: Joi.object({
+    includeDescendants: Joi.boolean().optional()
+  }),
+
+  // Completar con el proveedor bibliográfico al crear (?enrich=true)
+  createQuery: Joi.object({
+    enrich: Joi.boolean().optional()
+  }),
+
+  // Consulta de metadatos: ISBN obligatorio y, opcionalmente, los valores actuales a comparar
+  enrich: Joi.object({
+    isbn: isbnSchema.required().messages({
+      'string.empty': 'El ISBN es obligatorio',
+      'any.required': 'El ISBN es obligatorio'
+    }),
+    title: Joi.string().trim().min(1).max(200).optional(),
+    author: Joi.string().trim().min(2).max(100).optional(),
+    description: Joi.string().trim().max(1000).optional(),
+    publishedDate: Joi.date().optional(),
+    publisher: Joi.string().trim().max(100).optional(),
+    pages: Joi.number().integer().min(1).optional(),
+    language: Joi.string().valid('español', 'inglés', 'francés', 'alemán', 'italiano', 'portugués', 'otro').optional(),
+    coverImage: Joi.string().uri().optional()
+  }),
+
+  // Opciones de la importación masiva
+  importQuery: Joi.object({
+    dryRun: Joi.boolean().optional(),
+    upsert: Joi.boolean().optional()
+  }),
+
+  // ISBN en la URL (cualquier guionado); se convierte a ISBN-13
+  isbnParam: Joi.object({
+    isbn: isbnSchema.required()
+  }),
+
+  // Búsqueda de varios libros por ISBN (lector de códigos de barras)
+  isbnLookup: Joi.object({
+    isbns: Joi.array()
+      .items(Joi.string().trim().max(20))
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'array.min': 'Envíe al menos un ISBN',
+        'array.max': 'Se pueden consultar como máximo 100 ISBN por solicitud',
+        'any.required': 'La lista de ISBN (isbns) es obligatoria'
+      })
+  }),
+
+  // Formato de la exportación del catálogo
+  exportQuery: Joi.object({
+    format: Joi.string()
+      .valid('csv', 'jsonl', 'onix')
+      .optional()
+      .messages({
+        'any.only': 'El formato debe ser csv, jsonl u onix'
+      })
+  })
+};
+
+/**
+ * Esquema de validación para Reseñas
+ * Propósito: Define las reglas de validación para crear/actualizar reseñas
+ * El libro y el usuario se toman de la URL y de la sesión, no del cuerpo
+ */
+const reviewValidationSchema = {
+  // Para crear nueva reseña
+  create: Joi.object({
+    rating: Joi.number()
+      .integer()
+      .min(1)
+      .max(5)
+      .required()
+      .messages({
+        'number.base': 'La calificación debe ser un número',
+        'number.integer': 'La calificación debe ser un número entero',
+        'number.min': 'La calificación no puede ser menor a 1',
+        'number.max': 'La calificación no puede ser mayor a 5',
+        'any.required': 'La calificación es obligatoria'
+      }),
+
+    title: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+      .messages({
+        'string.max': 'El título no puede exceder 100 caracteres'
+      }),
+
+    comment: Joi.string()
+      .trim()
+      .max(1000)
+      .optional()
+      .messages({
+        'string.max': 'El comentario no puede exceder 1000 caracteres'
+      })
+  }),
+
+  // Para actualizar reseña (al menos un campo)
+  update: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).optional(),
+    title: Joi.string().trim().max(100).optional(),
+    comment: Joi.string().trim().max(1000).optional()
+  }).min(1)
+};
+
+/**
+ * Esquema de validación para Pedidos
+ * Propósito: Define las reglas de validación del carrito y de los filtros de pedidos
+ */
+const orderValidationSchema = {
+  // Para crear un pedido a partir del carrito
+  create: Joi.object({
+    items: Joi.array()
+      .items(Joi.object({
+        book: Joi.string()
+          .pattern(/^[0-9a-fA-F]{24}$/)
+          .required()
+          .messages({
+            'string.pattern.base': 'El libro debe ser un ID de MongoDB válido'
+          }),
+        quantity: Joi.number()
+          .integer()
+          .min(1)
+          .max(100)
+          .required()
+          .messages({
+            'number.base': 'La cantidad debe ser un número',
+            'number.integer': 'La cantidad debe ser un número entero',
+            'number.min': 'La cantidad debe ser al menos 1',
+            'number.max': 'La cantidad no puede exceder 100'
+          })
+      }))
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'array.min': 'El pedido debe tener al menos un libro',
+        'array.max': 'El pedido no puede tener más de 50 líneas',
+        'any.required': 'El carrito (items) es obligatorio'
+      })
+  }),
+
+  // Para filtrar el listado de pedidos
+  query: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(10),
+    status: Joi.string().valid('confirmado', 'enviado', 'entregado', 'cancelado').optional()
+  })
+};
+
+/**
+ * Esquema de validación para Préstamos y Reservas
+ * Propósito: Define las reglas de validación para pedir prestado o reservar un libro
+ */
+const loanValidationSchema = {
+  // Para pedir prestado o reservar un libro
+  create: Joi.object({
+    book: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.empty': 'El libro es obligatorio',
+        'string.pattern.base': 'El libro debe ser un ID de MongoDB válido',
+        'any.required': 'El libro es obligatorio'
+      })
+  }),
+
+  // Para filtrar los préstamos del usuario
+  query: Joi.object({
+    status: Joi.string().valid('activo', 'devuelto').optional()
+  })
+};
+
+/**
+ * Esquema de validación para el historial de inventario
+ * Propósito: Define los filtros del historial y del reporte de stock
+ */
+const stockValidationSchema = {
+  // Para el historial de movimientos de un libro
+  history: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    operation: Joi.string()
+      .valid('add', 'reduce', 'set', 'update', 'create', 'order', 'seed', 'import')
+      .optional()
+  }),
+
+  // Para reconstruir el stock a una fecha
+  report: Joi.object({
+    date: Joi.date()
+      .max('now')
+      .required()
+      .messages({
+        'date.base': 'La fecha del reporte debe ser válida',
+        'date.max': 'La fecha del reporte no puede ser futura',
+        'any.required': 'La fecha del reporte (date) es obligatoria'
+      }),
+    book: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'El libro debe ser un ID de MongoDB válido'
+      })
+  })
+};
+
+/**
+ * Reglas de contraseña para la autenticación local
+ * Propósito: Entre 8 y 72 caracteres (bcrypt ignora lo que pasa de 72 bytes), con al menos
+ * una minúscula, una mayúscula y un número
+ */
+const passwordSchema = Joi.string()
+  .min(8)
+  .max(72)
+  .pattern(/[a-z]/, 'una minúscula')
+  .pattern(/[A-Z]/, 'una mayúscula')
+  .pattern(/\d/, 'un número')
+  .messages({
+    'string.empty': 'La contraseña es obligatoria',
+    'string.min': 'La contraseña debe tener al menos 8 caracteres',
+    'string.max': 'La contraseña no puede exceder 72 caracteres',
+    'string.pattern.name': 'La contraseña debe incluir al menos {#name}',
+    'any.required': 'La contraseña es obligatoria'
+  });
+
+/**
+ * Esquema de validación para la autenticación local
+ * Propósito: Registro e inicio de sesión con email y contraseña
+ */
+const authValidationSchema = {
+  register: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'El nombre es obligatorio',
+        'string.min': 'El nombre debe tener al menos 2 caracteres',
+        'string.max': 'El nombre no puede exceder 100 caracteres'
+      }),
+
+    email: Joi.string()
+      .trim()
+      .lowercase()
+      .email()
+      .required()
+      .messages({
+        'string.empty': 'El email es obligatorio',
+        'string.email': 'El email debe tener un formato válido'
+      }),
+
+    password: passwordSchema.required()
+  })
+    // La contraseña no puede contener la parte local del email (ej: "juan" en juan@example.com)
+    .custom((value, helpers) => {
+      const localPart = value.email.split('@')[0];
+      if (localPart.length >= 3 && value.password.toLowerCase().includes(localPart)) {
+        return helpers.error('password.email');
+      }
+      return value;
+    })
+    .messages({
+      'password.email': 'La contraseña no puede contener tu email'
+    }),
+
+  login: Joi.object({
+    email: Joi.string().trim().lowercase().email().required().messages({
+      'string.empty': 'El email es obligatorio',
+      'string.email': 'El email debe tener un formato válido'
+    }),
+    password: Joi.string().max(200).required().messages({
+      'string.empty': 'La contraseña es obligatoria'
+    })
+  }),
+
+  // Emisión de tokens: con email y contraseña, con un token de refresco o con la sesión actual
+  token: Joi.object({
+    grantType: Joi.string()
+      .valid('password', 'refresh_token', 'session')
+      .required()
+      .messages({
+        'any.only': 'grantType debe ser password, refresh_token o session',
+        'any.required': 'grantType es obligatorio'
+      }),
+    email: Joi.when('grantType', {
+      is: 'password',
+      then: Joi.string().trim().lowercase().email().required(),
+      otherwise: Joi.forbidden()
+    }),
+    password: Joi.when('grantType', {
+      is: 'password',
+      then: Joi.string().max(200).required(),
+      otherwise: Joi.forbidden()
+    }),
+    refreshToken: Joi.when('grantType', {
+      is: 'refresh_token',
+      then: Joi.string().max(2000).required(),
+      otherwise: Joi.forbidden()
+    })
+  }).prefs({
+    messages: {
+      'any.required': '{#label} es obligatorio para este grantType',
+      'any.unknown': '{#label} no se usa con este grantType',
+      'string.email': 'El email debe tener un formato válido'
+    }
+  }),
+
+  // Cierre de sesión: opcionalmente el token de refresco a revocar
+  logout: Joi.object({
+    refreshToken: Joi.string().max(2000).optional()
+  }),
+
+  // Creación de una clave de API personal
+  apiKey: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(100)
+      .required()
+      .messages({
+        'string.empty': 'El nombre de la clave es obligatorio',
+        'string.max': 'El nombre no puede exceder 100 caracteres'
+      }),
+
+    scopes: Joi.array()
+      .items(Joi.string().valid(...apiKeyConfig.scopes))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'any.only': `Permiso no válido. Valores permitidos: ${apiKeyConfig.scopes.join(', ')}`,
+        'array.min': 'La clave debe tener al menos un permiso',
+        'array.unique': 'Hay permisos repetidos',
+        'any.required': 'Los permisos (scopes) son obligatorios'
+      }),
+
+    // Opcional: sin fecha, la clave no vence
+    expiresAt: Joi.date()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.base': 'La fecha de expiración debe ser válida',
+        'date.greater': 'La fecha de expiración debe ser futura'
+      })
+  }),
+
+  // Búsqueda y filtros del listado de usuarios (administración)
+  userQuery: Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(10),
+    search: Joi.string().trim().max(100).optional(),
+    role: Joi.string().valid(...ROLES).optional().messages({
+      'any.only': `Rol no válido. Valores permitidos: ${ROLES.join(', ')}`
+    }),
+    provider: Joi.string().valid('local', 'google').optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Cambio de rol de un usuario
+  userRole: Joi.object({
+    role: Joi.string()
+      .valid(...ROLES)
+      .required()
+      .messages({
+        'any.only': `Rol no válido. Valores permitidos: ${ROLES.join(', ')}`,
+        'any.required': 'El rol es obligatorio'
+      })
+  }),
+
+  // Activación o desactivación de un usuario
+  userStatus: Joi.object({
+    isActive: Joi.boolean()
+      .required()
+      .messages({
+        'boolean.base': 'isActive debe ser true o false',
+        'any.required': 'isActive es obligatorio'
+      })
   })
 };
 
@@ -251,22 +705,116 @@ const validateObjectId = (paramName = 'id') => {
   };
 };
 
+// Campos que se pueden pedir con ?fields= en los endpoints de libros (incluye virtuales)
+const BOOK_FIELDS = [
+  'title', 'author', 'isbn', 'isbn10', 'description', 'category', 'publishedDate', 'publisher',
+  'pages', 'language', 'price', 'stock', 'status', 'coverImage', 'averageRating',
+  'reviewCount', 'isFeatured', 'totalCopies', 'availableCopies', 'reorderThreshold',
+  'createdAt', 'updatedAt', 'inStock', 'canBorrow', 'formattedPrice'
+];
+
+/**
+ * Esquema de selección de campos y relaciones de libros
+ * Propósito: Valida ?fields=title,author,price (solo campos conocidos, sin repetir)
+ * e ?include=category | none (por defecto se incluye la categoría)
+ */
+const bookFieldSelectionSchema = Joi.object({
+  fields: Joi.string()
+    .trim()
+    .custom((value, helpers) => {
+      const fields = value.split(',').map(field => field.trim());
+      const invalid = fields.filter(field => !BOOK_FIELDS.includes(field));
+
+      if (invalid.length > 0) {
+        return helpers.error('fields.invalid', {
+          invalid: invalid.map(field => field || '(vacío)').join(', '),
+          allowed: BOOK_FIELDS.join(', ')
+        });
+      }
+
+      return [...new Set(fields)].join(',');
+    })
+    .optional()
+    .messages({
+      'fields.invalid': 'Campos no válidos: {#invalid}. Campos permitidos: {#allowed}'
+    }),
+  include: Joi.string()
+    .trim()
+    .valid('category', 'none')
+    .optional()
+    .messages({
+      'any.only': 'include debe ser "category" o "none"'
+    })
+});
+
+// Campos por los que se puede ordenar el listado de libros
+const BOOK_SORT_FIELDS = ['title', 'author', 'price', 'publishedDate', 'averageRating', 'createdAt', 'stock'];
+
+/**
+ * Función para convertir el parámetro sort en un objeto de orden de Mongoose
+ * Propósito: "-averageRating,price" -> { averageRating: -1, price: 1 }
+ */
+const parseSortParam = (sort) => Object.fromEntries(
+  sort.split(',').map(key => key.trim()).filter(Boolean).map(key => (
+    key.startsWith('-') ? [key.slice(1), -1] : [key, 1]
+  ))
+);
+
+/**
+ * Esquema del parámetro sort
+ * Propósito: Acepta varias claves separadas por comas (prefijo - para descendente),
+ * solo de los campos permitidos y sin repetir campos
+ * @param {Array<string>} allowedFields - Campos permitidos
+ */
+const sortSchema = (allowedFields) => Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const keys = value.split(',').map(key => key.trim());
+    const fields = keys.map(key => key.replace(/^-/, ''));
+    const invalid = fields.filter(field => !allowedFields.includes(field));
+
+    if (invalid.length > 0 || keys.some(key => key === '' || key === '-')) {
+      return helpers.error('sort.invalid', {
+        invalid: invalid.filter(Boolean).join(', ') || value,
+        allowed: allowedFields.join(', ')
+      });
+    }
+
+    if (new Set(fields).size !== fields.length) {
+      return helpers.error('sort.duplicate');
+    }
+
+    return keys.join(',');
+  })
+  .messages({
+    'sort.invalid': 'No se puede ordenar por: {#invalid}. Valores permitidos: {#allowed} (use el prefijo - para orden descendente)',
+    'sort.duplicate': 'Cada campo puede aparecer una sola vez en sort'
+  });
+
 /**
  * Validador para parámetros de consulta (query parameters)
  * Propósito: Valida parámetros de paginación y filtros
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - Campos permitidos en sort (si no se indican, se acepta cualquier texto)
  */
-const validateQueryParams = () => {
+const validateQueryParams = ({ sortFields } = {}) => {
   const schema = Joi.object({
     page: Joi.number().integer().min(1).optional().default(1),
     limit: Joi.number().integer().min(1).max(100).optional().default(10),
-    sort: Joi.string().optional().default('-createdAt'),
+    sort: (sortFields ? sortSchema(sortFields) : Joi.string()).optional().default('-createdAt'),
     search: Joi.string().trim().optional(),
     category: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
     status: Joi.string().valid('disponible', 'agotado', 'descontinuado', 'próximamente').optional(),
     minPrice: Joi.number().min(0).optional(),
     maxPrice: Joi.number().min(0).optional(),
     language: Joi.string().optional(),
-    isFeatured: Joi.boolean().optional()
+    isFeatured: Joi.boolean().optional(),
+    decade: Joi.number().integer().min(1000).max(2100).multiple(10).optional()
+      .messages({
+        'number.multiple': 'La década debe ser un año múltiplo de 10 (ej: 1990)'
+      }),
+    facets: Joi.boolean().optional(),
+    cursor: Joi.string().allow('').max(2000).optional()
   });
 
   return validate(schema, 'query');
@@ -275,7 +823,15 @@ const validateQueryParams = () => {
 module.exports = {
   categoryValidationSchema,
   bookValidationSchema,
+  reviewValidationSchema,
+  orderValidationSchema,
+  loanValidationSchema,
+  stockValidationSchema,
+  authValidationSchema,
   validate,
   validateObjectId,
-  validateQueryParams
+  validateQueryParams,
+  parseSortParam,
+  bookFieldSelectionSchema,
+  BOOK_SORT_FIELDS
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { apiKeyConfig } = require('../config/library');
+
+/**
+ * Esquema para las claves de API personales
+ * Propósito: Permite automatizar tareas (scripts, integraciones) sin compartir la sesión.
+ * La clave completa solo se muestra al crearla; aquí se guarda su hash SHA-256 y un
+ * prefijo para reconocerla en los listados. Cada clave tiene permisos (scopes) propios
+ */
+const apiKeySchema = new mongoose.Schema({
+  // Usuario dueño de la clave (la clave actúa en su nombre)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: [true, 'El usuario es obligatorio'],
+    index: true
+  },
+
+  // Nombre descriptivo (ej: "Sincronización de inventario")
+  name: {
+    type: String,
+    required: [true, 'El nombre de la clave es obligatorio'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+
+  // Primeros caracteres de la clave, para identificarla sin exponerla
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // Hash SHA-256 de la clave completa
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // Permisos de la clave
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: apiKeyConfig.scopes,
+        message: 'Permiso de clave de API no válido'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'La clave debe tener al menos un permiso'
+    }
+  },
+
+  // Fecha de expiración (null = no vence)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Último uso de la clave
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fecha de revocación (null = vigente)
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Método virtual para saber si la clave se puede usar
+ * Propósito: Una clave vale si no fue revocada y no expiró
+ */
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+/**
+ * Método estático para contar las claves vigentes de un usuario
+ * Propósito: Se usa para aplicar el máximo de claves por usuario
+ */
+apiKeySchema.statics.countActiveByUser = function(userId) {
+  return this.countDocuments({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+// Configurar virtuales en JSON
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    // El hash nunca sale de la base de datos
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('apiKey', apiKeySchema);
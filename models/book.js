@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { inventoryConfig } = require('../config/library');
+const { toIsbn13, toIsbn10, isValidIsbn13 } = require('../utils/isbn');
 
 /**
  * Esquema para los Libros
@@ -25,16 +27,19 @@ const bookSchema = new mongoose.Schema({
   },
 
   // Campo 3: ISBN (International Standard Book Number)
+  // Se guarda siempre como ISBN-13 sin guiones; el setter también se aplica a los
+  // filtros de consulta, así que buscar por ISBN-10 o con guiones encuentra el libro
   isbn: {
     type: String,
     required: [true, 'El ISBN es obligatorio'],
     unique: [true, 'Ya existe un libro con este ISBN'],
+    set: (v) => toIsbn13(v) || v,
     validate: {
       validator: function(v) {
-        // Valida formato ISBN-10 o ISBN-13
-        return /^(?:\d{9}[\dX]|\d{13})$/.test(v.replace(/-/g, ''));
+        // Tras el setter, un ISBN válido (10 o 13) ya es un ISBN-13 con dígito de control correcto
+        return isValidIsbn13(v);
       },
-      message: 'El ISBN debe tener formato válido (10 o 13 dígitos)'
+      message: 'El ISBN no es válido (revise los dígitos y el dígito de control)'
     }
   },
 
@@ -47,10 +52,10 @@ const bookSchema = new mongoose.Schema({
   },
 
   // Campo 5: Categoría (referencia a Category)
+  // La API la exige al crear un libro; solo falta si su categoría se eliminó con force=true
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'category',
-    required: [true, 'La categoría es obligatoria'],
     index: true
   },
 
@@ -84,6 +89,7 @@ const bookSchema = new mongoose.Schema({
   },
 
   // Campo 9: Idioma del libro
+  // (textLanguage se deriva de este campo para el stemming de la búsqueda)
   language: {
     type: String,
     required: [true, 'El idioma es obligatorio'],
@@ -158,15 +164,134 @@ const bookSchema = new mongoose.Schema({
   isFeatured: {
     type: Boolean,
     default: false
+  },
+
+  // Campo 17: Ejemplares de la biblioteca destinados a préstamo
+  // (independiente de stock, que es el inventario de venta)
+  totalCopies: {
+    type: Number,
+    min: [0, 'El número de ejemplares no puede ser negativo'],
+    default: 0
+  },
+
+  // Campo 18: Ejemplares para préstamo que están en la biblioteca
+  availableCopies: {
+    type: Number,
+    min: [0, 'Los ejemplares disponibles no pueden ser negativos'],
+    default: function() {
+      return this.totalCopies;
+    }
+  },
+
+  // Campo 19: Punto de reorden (si no se define, se usa el de la categoría)
+  reorderThreshold: {
+    type: Number,
+    min: [0, 'El punto de reorden no puede ser negativo'],
+    default: null
+  },
+
+  // Idioma del libro en el formato de MongoDB (spanish, english, ...)
+  // Lo usa el índice de texto para aplicar el stemming de cada libro
+  textLanguage: {
+    type: String,
+    select: false
   }
 }, {
   // Opciones del schema
   timestamps: true, // Agrega createdAt y updatedAt automáticamente
-  versionKey: false,
-  // Configuración para búsquedas de texto
-  indexes: [
-    { title: 'text', author: 'text', description: 'text' }
-  ]
+  versionKey: false
+});
+
+/**
+ * Equivalencia entre el idioma del libro y el idioma de MongoDB para el índice de texto
+ * 'none' desactiva el stemming y las stop words
+ */
+const TEXT_LANGUAGES = {
+  'español': 'spanish',
+  'inglés': 'english',
+  'francés': 'french',
+  'alemán': 'german',
+  'italiano': 'italian',
+  'portugués': 'portuguese',
+  'otro': 'none'
+};
+
+/**
+ * Índice de texto con pesos
+ * Propósito: El título pesa más que el autor y el autor más que la descripción.
+ * language_override apunta a textLanguage porque el campo language usa nombres en español,
+ * que MongoDB no reconoce
+ */
+bookSchema.index(
+  { title: 'text', author: 'text', description: 'text' },
+  {
+    name: 'book_text_search',
+    weights: { title: 10, author: 5, description: 1 },
+    default_language: 'spanish',
+    language_override: 'textLanguage'
+  }
+);
+
+/**
+ * Índice de título con collation española
+ * Propósito: Permite ordenar por título (tildes y ñ en su lugar) sin ordenar en memoria
+ */
+bookSchema.index({ title: 1 }, { name: 'title_es', collation: { locale: 'es' } });
+
+/**
+ * Método estático para traducir un idioma al formato de MongoDB
+ * Propósito: Se usa al indexar y como $language en las búsquedas $text
+ */
+bookSchema.statics.textLanguageFor = function(language) {
+  return TEXT_LANGUAGES[language] || 'none';
+};
+
+/**
+ * Método estático para armar un filtro de búsqueda por texto
+ * Propósito: Si se filtra por idioma, el término se procesa con el stemming de ese idioma;
+ * si no, con el idioma por defecto del índice (español)
+ */
+bookSchema.statics.textSearch = function(term, language) {
+  return {
+    $text: {
+      $search: term,
+      $language: language ? this.textLanguageFor(language) : 'spanish'
+    }
+  };
+};
+
+/**
+ * Proyección y orden por relevancia para búsquedas $text
+ */
+bookSchema.statics.textScore = { score: { $meta: 'textScore' } };
+
+/**
+ * Middleware pre-validate
+ * Propósito: Mantiene textLanguage sincronizado con language
+ * (pre-validate también se ejecuta en insertMany)
+ */
+bookSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('language')) {
+    this.textLanguage = TEXT_LANGUAGES[this.language] || 'none';
+  }
+  next();
+});
+
+/**
+ * Middleware pre-findOneAndUpdate
+ * Propósito: Mantiene textLanguage sincronizado cuando se cambia el idioma con findByIdAndUpdate
+ */
+bookSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  if (update && !Array.isArray(update)) {
+    const language = update.language !== undefined
+      ? update.language
+      : update.$set && update.$set.language;
+    if (language !== undefined) {
+      this.set('textLanguage', TEXT_LANGUAGES[language] || 'none');
+    }
+  }
+  next();
 });
 
 /**
@@ -206,12 +331,29 @@ bookSchema.virtual('inStock').get(function() {
   return this.stock > 0 && this.status === 'disponible';
 });
 
+/**
+ * Método virtual para obtener el ISBN-10
+ * Propósito: Forma de 10 dígitos del ISBN guardado (null para ISBN con prefijo 979)
+ */
+bookSchema.virtual('isbn10').get(function() {
+  return this.isbn ? toIsbn10(this.isbn) : undefined;
+});
+
+/**
+ * Método virtual para saber si se puede pedir prestado
+ * Propósito: Indica si hay algún ejemplar de préstamo en la biblioteca
+ */
+bookSchema.virtual('canBorrow').get(function() {
+  return this.availableCopies > 0;
+});
+
 /**
  * Método virtual para formatear precio
  * Propósito: Devuelve el precio formateado con símbolo de moneda
  */
 bookSchema.virtual('formattedPrice').get(function() {
-  return `$${this.price.toFixed(2)}`;
+  // El precio puede faltar si la consulta no lo seleccionó
+  return this.price == null ? undefined : `$${this.price.toFixed(2)}`;
 });
 
 /**
@@ -222,7 +364,7 @@ bookSchema.statics.findAvailable = function() {
   return this.find({ 
     status: 'disponible', 
     stock: { $gt: 0 } 
-  }).populate('category');
+  });
 };
 
 /**
@@ -233,26 +375,154 @@ bookSchema.statics.findByCategory = function(categoryId) {
   return this.find({ category: categoryId }).populate('category');
 };
 
+/**
+ * Etapa de actualización que recalcula el estado según el stock
+ * Propósito: Replica en las actualizaciones atómicas la transición
+ * disponible/agotado que hace el middleware pre-save
+ */
+const stockStatusStage = {
+  $set: {
+    status: {
+      $switch: {
+        branches: [
+          {
+            case: { $and: [{ $eq: ['$stock', 0] }, { $eq: ['$status', 'disponible'] }] },
+            then: 'agotado'
+          },
+          {
+            case: { $and: [{ $gt: ['$stock', 0] }, { $eq: ['$status', 'agotado'] }] },
+            then: 'disponible'
+          }
+        ],
+        default: '$status'
+      }
+    }
+  }
+};
+
+/**
+ * Método estático para reducir stock de forma atómica
+ * Propósito: Descuenta stock solo si alcanza (stock >= quantity) en una única operación,
+ * así dos reducciones simultáneas no pueden vender más de lo que hay.
+ * Devuelve el libro actualizado, o null si no existe o el stock no alcanza
+ */
+bookSchema.statics.reduceStockById = function(id, quantity = 1, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: id, stock: { $gte: quantity } },
+    [{ $set: { stock: { $subtract: ['$stock', quantity] } } }, stockStatusStage],
+    { new: true, ...options }
+  );
+};
+
+/**
+ * Método estático para agregar stock de forma atómica
+ * Propósito: Incrementa el stock en una única operación
+ */
+bookSchema.statics.addStockById = function(id, quantity = 1, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: id },
+    [{ $set: { stock: { $add: ['$stock', quantity] } } }, stockStatusStage],
+    { new: true, ...options }
+  );
+};
+
+/**
+ * Método estático para fijar el stock de forma atómica
+ * Propósito: Reemplaza el stock y actualiza el estado en una única operación
+ */
+bookSchema.statics.setStockById = function(id, quantity, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: id },
+    [{ $set: { stock: quantity } }, stockStatusStage],
+    { new: true, ...options }
+  );
+};
+
+/**
+ * Método estático para cambiar la cantidad de ejemplares de forma atómica
+ * Propósito: Suma a availableCopies la diferencia con los ejemplares actuales (como un
+ * $inc calculado en la misma operación), así no se pisan los préstamos y devoluciones
+ * que ocurran entre la lectura y la escritura. Solo se aplica si no quedan menos
+ * ejemplares que los prestados. Devuelve el libro actualizado, o null si no existe o
+ * hay más ejemplares prestados
+ */
+bookSchema.statics.setTotalCopiesById = function(id, totalCopies, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: id, $expr: { $gte: [totalCopies, { $subtract: ['$totalCopies', '$availableCopies'] }] } },
+    [{
+      $set: {
+        availableCopies: { $add: ['$availableCopies', { $subtract: [totalCopies, '$totalCopies'] }] },
+        totalCopies
+      }
+    }],
+    { new: true, ...options }
+  );
+};
+
+/**
+ * Método estático para editar un libro y fijar su stock
+ * Propósito: Aplica los campos enviados y, si incluyen stock, lo fija con la misma
+ * transición disponible/agotado de las demás operaciones de stock. Conviene usarlo
+ * dentro de una transacción ({ session }) para que la edición y el historial de
+ * inventario se confirmen juntos. Devuelve el documento anterior o null si no existe
+ */
+bookSchema.statics.updateWithStock = async function(id, data, options = {}) {
+  const { stock, ...fields } = data;
+
+  const previous = await this.findByIdAndUpdate(id, fields, { new: false, runValidators: true, ...options });
+  if (previous && stock !== undefined) {
+    await this.setStockById(id, stock, options);
+  }
+
+  return previous;
+};
+
+/**
+ * Método de instancia para obtener el punto de reorden efectivo
+ * Propósito: Usa el del libro, si no el de su categoría, y si no el valor global
+ */
+bookSchema.methods.getReorderThreshold = async function() {
+  if (this.reorderThreshold !== null && this.reorderThreshold !== undefined) {
+    return this.reorderThreshold;
+  }
+
+  const categoryId = this.category && this.category._id ? this.category._id : this.category;
+  const category = await mongoose.model('category').findById(categoryId)
+    .select('defaultReorderThreshold');
+
+  if (category && category.defaultReorderThreshold !== null && category.defaultReorderThreshold !== undefined) {
+    return category.defaultReorderThreshold;
+  }
+
+  return inventoryConfig.defaultReorderThreshold;
+};
+
 /**
  * Método de instancia para reducir stock
- * Propósito: Reduce el stock cuando se vende un libro
+ * Propósito: Reduce el stock cuando se vende un libro (usa la actualización atómica)
  */
-bookSchema.methods.reduceStock = function(quantity = 1) {
-  if (this.stock >= quantity) {
-    this.stock -= quantity;
-    return this.save();
-  } else {
-    throw new Error('Stock insuficiente');
+bookSchema.methods.reduceStock = async function(quantity = 1) {
+  const updated = await this.constructor.reduceStockById(this._id, quantity, {
+    session: this.$session()
+  });
+
+  if (!updated) {
+    const error = new Error('Stock insuficiente');
+    error.statusCode = 409;
+    throw error;
   }
+
+  return updated;
 };
 
 /**
  * Método de instancia para agregar stock
- * Propósito: Aumenta el stock cuando llegan nuevos libros
+ * Propósito: Aumenta el stock cuando llegan nuevos libros (usa la actualización atómica)
  */
 bookSchema.methods.addStock = function(quantity = 1) {
-  this.stock += quantity;
-  return this.save();
+  return this.constructor.addStockById(this._id, quantity, {
+    session: this.$session()
+  });
 };
 
 // Asegurar que los virtuales se incluyan en JSON
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { slugify, escapeRegex } = require('../utils/text');
+
+// Slugs que chocarían con las rutas fijas de /api/categories
+const RESERVED_SLUGS = ['active', 'stats', 'tree'];
 
 /**
  * Esquema para las Categorías de libros
@@ -15,6 +19,21 @@ const categorySchema = new mongoose.Schema({
     maxlength: [50, 'El nombre no puede exceder 50 caracteres']
   },
 
+  // Identificador legible para URL, generado a partir del nombre (ej: "ciencia-ficcion")
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true, // Las categorías anteriores a los slugs aún no lo tienen
+    lowercase: true,
+    trim: true
+  },
+
+  // Slugs anteriores (tras renombrar la categoría); siguen funcionando y redirigen al actual
+  previousSlugs: {
+    type: [String],
+    index: true
+  },
+
   // Descripción de la categoría
   description: {
     type: String,
@@ -40,6 +59,21 @@ const categorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+
+  // Categoría padre (null para las categorías raíz, ej: "Física" dentro de "Ciencia")
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'category',
+    default: null,
+    index: true
+  },
+
+  // Punto de reorden por defecto para los libros de la categoría
+  defaultReorderThreshold: {
+    type: Number,
+    min: [0, 'El punto de reorden no puede ser negativo'],
+    default: null
   }
 }, {
   // Opciones del schema
@@ -47,6 +81,18 @@ const categorySchema = new mongoose.Schema({
   versionKey: false // Elimina el campo __v
 });
 
+/**
+ * Middleware pre-validate
+ * Propósito: Genera el slug al crear la categoría y lo actualiza si cambia el nombre.
+ * Se ejecuta también en insertMany (el script de datos de prueba lo usa)
+ */
+categorySchema.pre('validate', async function() {
+  if (!this.name || (this.slug && !this.isModified('name'))) return;
+
+  const changes = await this.getSlugChanges(this.name);
+  if (changes) this.set(changes);
+});
+
 /**
  * Middleware pre-save
  * Propósito: Se ejecuta antes de guardar un documento
@@ -83,6 +129,133 @@ categorySchema.statics.findActive = function() {
   return this.find({ isActive: true }).sort({ name: 1 });
 };
 
+/**
+ * Método estático para obtener los IDs de todas las subcategorías
+ * Propósito: Recorre la jerarquía hacia abajo (hijos, nietos, ...) en una sola consulta
+ * @param {string|ObjectId} categoryId
+ * @returns {Promise<Array<ObjectId>>} IDs de los descendientes (sin incluir la categoría)
+ */
+categorySchema.statics.findDescendantIds = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(categoryId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants'
+      }
+    },
+    { $project: { ids: '$descendants._id' } }
+  ]);
+
+  return result ? result.ids : [];
+};
+
+/**
+ * Método estático para obtener la ruta de una categoría (breadcrumbs)
+ * Propósito: Devuelve los ancestros desde la raíz hasta el padre directo,
+ * ej: para "Cuántica" -> [Ciencia, Física]
+ * @param {string|ObjectId} categoryId
+ * @returns {Promise<Array<{_id, name, slug}>>}
+ */
+categorySchema.statics.findAncestors = async function(categoryId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(categoryId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        depthField: 'depth',
+        as: 'ancestors'
+      }
+    }
+  ]);
+
+  if (!result) return [];
+
+  // depth 0 es el padre directo; se invierte para empezar por la raíz
+  return result.ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+/**
+ * Método estático para generar un slug libre
+ * Propósito: Parte del slug del nombre y, si ya lo usa otra categoría (como slug actual
+ * o anterior), agrega un sufijo numérico: "ficcion", "ficcion-2", ...
+ * @param {string} name - Nombre de la categoría
+ * @param {Object} options
+ * @param {ObjectId} options.excludeId - Categoría que se renombra (puede recuperar sus propios slugs)
+ * @param {string} options.currentSlug - Slug actual; se conserva si el nombre sigue generando la misma base
+ */
+categorySchema.statics.generateSlug = async function(name, { excludeId, currentSlug } = {}) {
+  const base = slugify(name) || 'categoria';
+  const variants = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+
+  // Renombrar "Ficcion" a "Ficción" no cambia el slug (ni su sufijo)
+  if (currentSlug && variants.test(currentSlug)) return currentSlug;
+
+  const filter = { $or: [{ slug: variants }, { previousSlugs: variants }] };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const taken = await this.find(filter).select('slug previousSlugs').lean();
+  const used = new Set(taken.flatMap(category => [category.slug, ...(category.previousSlugs || [])]));
+
+  let slug = base;
+  for (let suffix = 2; used.has(slug) || RESERVED_SLUGS.includes(slug) || /^[0-9a-f]{24}$/.test(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+/**
+ * Método de instancia para calcular el slug tras un cambio de nombre
+ * Propósito: El slug anterior se guarda en previousSlugs para que las URL viejas sigan
+ * funcionando. Lo usan el pre-validate y las actualizaciones con findByIdAndUpdate
+ * @returns {Promise<{slug, previousSlugs}|null>} null si el slug no cambia
+ */
+categorySchema.methods.getSlugChanges = async function(name) {
+  const slug = await this.constructor.generateSlug(name, {
+    excludeId: this._id,
+    currentSlug: this.slug
+  });
+  if (slug === this.slug) return null;
+
+  const previousSlugs = (this.previousSlugs || []).filter(previous => previous !== slug);
+  if (this.slug) previousSlugs.push(this.slug);
+
+  return { slug, previousSlugs };
+};
+
+/**
+ * Método estático para buscar una categoría por slug
+ * Propósito: Acepta el slug actual o uno anterior; oldSlug indica que conviene redirigir
+ * @returns {Promise<{category, oldSlug: boolean}|null>}
+ */
+categorySchema.statics.findBySlug = async function(slug) {
+  const value = String(slug).toLowerCase();
+  const category = await this.findOne({ $or: [{ slug: value }, { previousSlugs: value }] });
+  if (!category) return null;
+
+  return { category, oldSlug: category.slug !== value };
+};
+
+/**
+ * Método estático para buscar una categoría por ID o por slug
+ * Propósito: Para parámetros de consulta que aceptan cualquiera de los dos (ej: reassignTo)
+ */
+categorySchema.statics.findByIdOrSlug = async function(value) {
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    return this.findById(value);
+  }
+  const result = await this.findBySlug(value);
+  return result ? result.category : null;
+};
+
 /**
  * Método de instancia para desactivar categoría
  * Propósito: Método para marcar una categoría como inactiva en lugar de eliminarla
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema para las Reservas (holds)
+ * Propósito: Cola FIFO de usuarios que esperan un ejemplar de un libro agotado
+ * El orden de la cola lo da createdAt
+ */
+const holdSchema = new mongoose.Schema({
+  // Usuario que hace la reserva
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: [true, 'El usuario es obligatorio'],
+    index: true
+  },
+
+  // Libro reservado
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'book',
+    required: [true, 'El libro es obligatorio']
+  },
+
+  // Estado de la reserva
+  // en espera: en la cola | notificado: tiene un ejemplar apartado
+  // completado: ya retiró el libro | cancelado: el usuario la canceló
+  // expirado: no retiró el ejemplar dentro del plazo
+  status: {
+    type: String,
+    enum: {
+      values: ['en espera', 'notificado', 'completado', 'cancelado', 'expirado'],
+      message: 'Estado de reserva no válido'
+    },
+    default: 'en espera'
+  },
+
+  // Fecha en que se notificó al usuario que hay un ejemplar
+  notifiedAt: {
+    type: Date
+  },
+
+  // Fecha límite para retirar el ejemplar apartado
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Índice para recorrer la cola de un libro en orden de llegada
+holdSchema.index({ book: 1, status: 1, createdAt: 1 });
+
+/**
+ * Método estático para obtener las reservas vigentes de un libro
+ * Propósito: Reservas en espera o notificadas cuyo plazo de retiro no ha vencido
+ */
+holdSchema.statics.findPendingByBook = function(bookId) {
+  return this.find({
+    book: bookId,
+    $or: [
+      { status: 'en espera' },
+      { status: 'notificado', expiresAt: { $gt: new Date() } }
+    ]
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Método estático para contar ejemplares apartados de un libro
+ * Propósito: Ejemplares devueltos que están reservados a usuarios notificados
+ */
+holdSchema.statics.countReserved = function(bookId, excludeUserId) {
+  const filters = {
+    book: bookId,
+    status: 'notificado',
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeUserId) {
+    filters.user = { $ne: excludeUserId };
+  }
+  return this.countDocuments(filters);
+};
+
+/**
+ * Método estático para obtener el siguiente de la cola
+ * Propósito: Devuelve la reserva en espera más antigua de un libro (FIFO)
+ */
+holdSchema.statics.findNextInQueue = function(bookId) {
+  return this.findOne({ book: bookId, status: 'en espera' })
+    .sort({ createdAt: 1 })
+    .populate('user', 'name email');
+};
+
+/**
+ * Método estático para vencer reservas notificadas no retiradas
+ * Propósito: Libera los ejemplares apartados cuyo plazo de retiro ya pasó. Usar a
+ * través de processHoldQueue (loanController), que además avisa al siguiente de la cola
+ */
+holdSchema.statics.expireOverdue = function(bookId) {
+  return this.updateMany(
+    { book: bookId, status: 'notificado', expiresAt: { $lte: new Date() } },
+    { status: 'expirado' }
+  );
+};
+
+/**
+ * Método de instancia para notificar al usuario
+ * Propósito: Aparta el ejemplar durante el plazo de retiro indicado
+ */
+holdSchema.methods.markNotified = function(pickupDays) {
+  this.status = 'notificado';
+  this.notifiedAt = new Date();
+  this.expiresAt = new Date(Date.now() + pickupDays * 24 * 60 * 60 * 1000);
+  return this.save();
+};
+
+module.exports = mongoose.model('hold', holdSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema para los Préstamos
+ * Propósito: Registra el préstamo de un ejemplar de un libro a un usuario
+ */
+const loanSchema = new mongoose.Schema({
+  // Usuario que pide el préstamo
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: [true, 'El usuario es obligatorio'],
+    index: true
+  },
+
+  // Libro prestado
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'book',
+    required: [true, 'El libro es obligatorio'],
+    index: true
+  },
+
+  // Fecha del préstamo
+  borrowedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Fecha límite de devolución
+  dueDate: {
+    type: Date,
+    required: [true, 'La fecha de devolución es obligatoria']
+  },
+
+  // Fecha real de devolución
+  returnedAt: {
+    type: Date
+  },
+
+  // Número de veces que se ha renovado
+  renewals: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Estado del préstamo
+  status: {
+    type: String,
+    enum: {
+      values: ['activo', 'devuelto'],
+      message: 'Estado de préstamo no válido'
+    },
+    default: 'activo',
+    index: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Un solo préstamo activo por usuario y libro (también frente a pedidos simultáneos)
+loanSchema.index(
+  { user: 1, book: 1 },
+  { unique: true, partialFilterExpression: { status: 'activo' }, name: 'one_active_loan_per_book' }
+);
+
+/**
+ * Método virtual para saber si el préstamo está vencido
+ * Propósito: Un préstamo activo cuya fecha límite ya pasó
+ */
+loanSchema.virtual('isOverdue').get(function() {
+  return this.status === 'activo' && this.dueDate < new Date();
+});
+
+/**
+ * Método virtual para calcular los días de retraso
+ * Propósito: Devuelve 0 si el préstamo no está vencido
+ */
+loanSchema.virtual('daysOverdue').get(function() {
+  if (!this.isOverdue) return 0;
+  return Math.ceil((Date.now() - this.dueDate.getTime()) / (24 * 60 * 60 * 1000));
+});
+
+/**
+ * Método estático para buscar préstamos activos de un usuario
+ * Propósito: Se usa para aplicar el límite de préstamos por usuario
+ */
+loanSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ user: userId, status: 'activo' });
+};
+
+/**
+ * Método estático para buscar préstamos vencidos
+ * Propósito: Encuentra los préstamos activos cuya fecha límite ya pasó
+ */
+loanSchema.statics.findOverdue = function() {
+  return this.find({ status: 'activo', dueDate: { $lt: new Date() } })
+    .sort({ dueDate: 1 });
+};
+
+/**
+ * Método estático para marcar un préstamo como devuelto
+ * Propósito: Registra la devolución solo si el préstamo sigue activo, en una sola
+ * operación, para que dos devoluciones simultáneas no se cuenten dos veces
+ * @returns {Promise<Object|null>} El préstamo devuelto, o null si no estaba activo
+ */
+loanSchema.statics.markReturnedById = function(id, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'activo' },
+    { $set: { status: 'devuelto', returnedAt: new Date() } },
+    { new: true, ...options }
+  );
+};
+
+loanSchema.set('toJSON', { virtuals: true });
+loanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('loan', loanSchema);
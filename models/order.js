@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema para las líneas de un pedido
+ * Propósito: Guarda una copia del título y precio del libro al momento de la compra,
+ * para que el historial no cambie si luego se modifica el libro
+ */
+const orderItemSchema = new mongoose.Schema({
+  // Libro comprado (referencia a Book)
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'book',
+    required: [true, 'El libro es obligatorio']
+  },
+
+  // Título del libro al momento de la compra
+  title: {
+    type: String,
+    required: true
+  },
+
+  // Precio unitario al momento de la compra
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'El precio no puede ser negativo']
+  },
+
+  // Cantidad de ejemplares
+  quantity: {
+    type: Number,
+    required: [true, 'La cantidad es obligatoria'],
+    min: [1, 'La cantidad debe ser al menos 1']
+  },
+
+  // Precio unitario por cantidad
+  subtotal: {
+    type: Number,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Esquema para los Pedidos
+ * Propósito: Define un pedido de compra realizado por un usuario autenticado
+ */
+const orderSchema = new mongoose.Schema({
+  // Usuario que realiza el pedido
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: [true, 'El usuario es obligatorio'],
+    index: true
+  },
+
+  // Líneas del pedido
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'El pedido debe tener al menos un libro'
+    }
+  },
+
+  // Total del pedido
+  total: {
+    type: Number,
+    required: true,
+    min: [0, 'El total no puede ser negativo'],
+    set: function(v) {
+      // Redondea a 2 decimales
+      return Math.round(v * 100) / 100;
+    }
+  },
+
+  // Estado del pedido
+  status: {
+    type: String,
+    enum: {
+      values: ['confirmado', 'enviado', 'entregado', 'cancelado'],
+      message: 'Estado de pedido no válido'
+    },
+    default: 'confirmado'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+/**
+ * Método virtual para contar ejemplares
+ * Propósito: Devuelve la cantidad total de libros del pedido
+ */
+orderSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+/**
+ * Método estático para buscar pedidos de un usuario
+ * Propósito: Obtiene el historial de pedidos de un usuario, del más reciente al más antiguo
+ */
+orderSchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+orderSchema.set('toJSON', { virtuals: true });
+orderSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('order', orderSchema);
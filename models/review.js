@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema para las Reseñas de libros
+ * Propósito: Guarda la calificación y el comentario de un usuario sobre un libro
+ * Cada usuario solo puede tener una reseña por libro
+ */
+const reviewSchema = new mongoose.Schema({
+  // Libro reseñado (referencia a Book)
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'book',
+    required: [true, 'El libro es obligatorio'],
+    index: true
+  },
+
+  // Autor de la reseña (referencia a User)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: [true, 'El usuario es obligatorio']
+  },
+
+  // Calificación de 1 a 5 estrellas
+  rating: {
+    type: Number,
+    required: [true, 'La calificación es obligatoria'],
+    min: [1, 'La calificación no puede ser menor a 1'],
+    max: [5, 'La calificación no puede ser mayor a 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'La calificación debe ser un número entero'
+    }
+  },
+
+  // Título corto de la reseña (opcional)
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El título no puede exceder 100 caracteres']
+  },
+
+  // Comentario de la reseña (opcional)
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'El comentario no puede exceder 1000 caracteres']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Una sola reseña por usuario y libro
+reviewSchema.index({ book: 1, user: 1 }, { unique: true });
+
+/**
+ * Método estático para recalcular el rating de un libro
+ * Propósito: Actualiza averageRating y reviewCount del libro a partir de sus reseñas
+ */
+reviewSchema.statics.updateBookRating = async function(bookId) {
+  const Book = require('./book');
+
+  const [result] = await this.aggregate([
+    { $match: { book: new mongoose.Types.ObjectId(bookId) } },
+    {
+      $group: {
+        _id: '$book',
+        averageRating: { $avg: '$rating' },
+        reviewCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return Book.findByIdAndUpdate(bookId, {
+    averageRating: result ? result.averageRating : 0,
+    reviewCount: result ? result.reviewCount : 0
+  });
+};
+
+/**
+ * Middleware post-save
+ * Propósito: Recalcula el rating del libro cada vez que se crea o edita una reseña
+ */
+reviewSchema.post('save', async function(doc) {
+  await doc.constructor.updateBookRating(doc.book);
+});
+
+/**
+ * Middleware post-findOneAndDelete
+ * Propósito: Recalcula el rating del libro cuando se elimina una reseña
+ */
+reviewSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await doc.constructor.updateBookRating(doc.book);
+  }
+});
+
+module.exports = mongoose.model('review', reviewSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema para la lista de tokens revocados
+ * Propósito: Los JWT no se guardan; aquí solo se registran los que dejaron de valer antes
+ * de expirar. Una entrada revoca un token puntual (jti) o una familia completa: la cadena
+ * de tokens de refresco de un inicio de sesión y los tokens de acceso emitidos con ella
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  // Identificador de un token de refresco ya usado (rotación)
+  jti: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // Familia revocada (logout o reutilización de un token de refresco)
+  family: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // Usuario dueño del token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  },
+
+  // Motivo de la revocación
+  reason: {
+    type: String,
+    enum: ['rotado', 'logout', 'reutilizado'],
+    required: true
+  },
+
+  // Después de esta fecha el token habría expirado igual; MongoDB borra la entrada
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Índice TTL: las entradas se eliminan solas al llegar a expiresAt
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Método estático para saber si un token está revocado
+ * Propósito: Un token vale si ni él ni su familia aparecen en la lista
+ * @param {Object} payload - Contenido del JWT (jti y fam)
+ */
+revokedTokenSchema.statics.isRevoked = async function({ jti, fam }) {
+  const entry = await this.exists({ $or: [{ jti }, { family: fam }] });
+  return Boolean(entry);
+};
+
+module.exports = mongoose.model('revokedToken', revokedTokenSchema);
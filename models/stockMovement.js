@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema para los Movimientos de inventario
+ * Propósito: Historial de cada cambio de stock de un libro (quién, cuándo, cuánto y por qué)
+ * Es un registro de solo inserción: los movimientos no se editan ni se borran
+ */
+const stockMovementSchema = new mongoose.Schema({
+  // Libro afectado
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'book',
+    required: [true, 'El libro es obligatorio']
+  },
+
+  // Variación del stock (positiva o negativa)
+  delta: {
+    type: Number,
+    required: [true, 'La variación de stock es obligatoria']
+  },
+
+  // Stock resultante después del movimiento
+  resultingStock: {
+    type: Number,
+    required: [true, 'El stock resultante es obligatorio'],
+    min: [0, 'El stock resultante no puede ser negativo']
+  },
+
+  // Origen del movimiento
+  // add/reduce/set: PATCH /api/books/:id/stock | update: PUT /api/books/:id
+  // create: alta del libro | order: pedido de un cliente | seed: script de datos
+  operation: {
+    type: String,
+    required: [true, 'La operación es obligatoria'],
+    enum: {
+      values: ['add', 'reduce', 'set', 'update', 'create', 'order', 'seed', 'import'],
+      message: 'Operación de inventario no válida'
+    }
+  },
+
+  // Motivo del movimiento (opcional)
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'El motivo no puede exceder 200 caracteres']
+  },
+
+  // Usuario que hizo el cambio (vacío para scripts)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Índice para el historial de un libro y para reconstruir el stock a una fecha
+stockMovementSchema.index({ book: 1, createdAt: -1 });
+stockMovementSchema.index({ createdAt: 1 });
+
+/**
+ * Método estático para registrar un movimiento
+ * Propósito: Punto único para escribir en el historial; acepta { session } para transacciones
+ * Los movimientos sin variación no se registran
+ */
+stockMovementSchema.statics.record = async function(movement, options = {}) {
+  if (!movement.delta) return null;
+
+  const [created] = await this.create([movement], options);
+  return created;
+};
+
+/**
+ * Método estático para sumar variaciones posteriores a una fecha
+ * Propósito: Devuelve un Map bookId -> suma de deltas registrados después de la fecha
+ */
+stockMovementSchema.statics.sumDeltasSince = async function(date, bookIds) {
+  const match = { createdAt: { $gt: date } };
+  if (bookIds) {
+    match.book = { $in: bookIds };
+  }
+
+  const results = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$book', delta: { $sum: '$delta' } } }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.delta]));
+};
+
+module.exports = mongoose.model('stockMovement', stockMovementSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, getRolePermissions } = require('../config/permissions');
 
 /**
  * Esquema para los Usuarios
@@ -30,10 +31,10 @@ const userSchema = new mongoose.Schema({
     maxlength: [100, 'El nombre no puede exceder 100 caracteres']
   },
 
-  // Campo 3: Contraseña (para autenticación local)
+  // Campo 3: Contraseña (para autenticación local; las reglas de seguridad están en authValidationSchema)
   password: {
     type: String,
-    minlength: [6, 'La contraseña debe tener al menos 6 caracteres'],
+    minlength: [8, 'La contraseña debe tener al menos 8 caracteres'],
     select: false // No incluir en consultas por defecto
   },
 
@@ -49,11 +50,11 @@ const userSchema = new mongoose.Schema({
     default: ''
   },
 
-  // Campo 6: Rol del usuario
+  // Campo 6: Rol del usuario (sus permisos están en config/permissions.js)
   role: {
     type: String,
     enum: {
-      values: ['user', 'admin'],
+      values: ROLES,
       message: 'Rol no válido'
     },
     default: 'user'
@@ -93,8 +94,8 @@ const userSchema = new mongoose.Schema({
  * Propósito: Encripta la contraseña antes de guardarla en la base de datos
  */
 userSchema.pre('save', async function(next) {
-  // Solo hashear si la contraseña fue modificada o es nueva
-  if (!this.isModified('password')) return next();
+  // Solo hashear si la contraseña fue modificada o es nueva (y no se está quitando)
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     // Generar salt y hashear contraseña
@@ -126,6 +127,7 @@ userSchema.virtual('publicProfile').get(function() {
     email: this.email,
     avatar: this.avatar,
     role: this.role,
+    permissions: getRolePermissions(this.role),
     provider: this.provider,
     lastLogin: this.lastLogin,
     emailVerified: this.emailVerified
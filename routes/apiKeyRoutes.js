@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores
+const {
+  getMyApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+// Importar middleware de validación
+const {
+  authValidationSchema,
+  validate,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Importar middleware de autenticación (sesión o token Bearer; una clave no puede crear otras)
+const { ensureAuthenticated } = require('../config/passport');
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   get:
+ *     summary: List my API keys
+ *     tags: [Authentication]
+ *     description: Returns the current user's API keys (active, revoked and expired), newest first. Only the prefix of each key is shown.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys of the current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 count:
+ *                   type: integer
+ *                 availableScopes:
+ *                   type: array
+ *                   description: Scopes the user's role allows assigning to a key
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/', ensureAuthenticated, getMyApiKeys);
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     tags: [Authentication]
+ *     description: |
+ *       Creates a personal API key for scripts and integrations. Send it in the X-API-Key header. The key acts on behalf of its owner and only with the scopes it was given:
+ *       - books:read: book statistics, low stock, export, stock report and history.
+ *       - books:write: create, import, enrich and update book data.
+ *       - books:delete: delete books.
+ *       - stock:write: adjust a book's stock, or change stock, status or totalCopies when updating it.
+ *       - categories:read: category statistics.
+ *       - categories:write: create, update and toggle categories.
+ *       - categories:delete: delete categories.
+ *
+ *       A key cannot have scopes its owner's role does not grant (see availableScopes in GET /auth/api-keys), and the owner's role is checked again on every request. The full key is returned only in this response; it is stored hashed. Each user can have up to 10 active keys (API_KEYS_MAX_PER_USER) and a key can last up to 365 days (API_KEYS_MAX_DAYS); without expiresAt it does not expire.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [books:read, books:write, books:delete, stock:write, categories:read, categories:write, categories:delete]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiration date (must be in the future)
+ *           example:
+ *             name: "Sincronización de inventario"
+ *             scopes: ["books:read", "stock:write"]
+ *             expiresAt: "2027-01-31T00:00:00.000Z"
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 key:
+ *                   type: string
+ *                   description: Full API key; it will not be shown again
+ *                   example: "dlk_3fA9xQ2b..."
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error or expiration too far in the future
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: The user does not have some of the requested scopes (response includes deniedScopes)
+ *       409:
+ *         description: The user already has the maximum number of active keys
+ */
+router.post('/',
+  ensureAuthenticated,
+  validate(authValidationSchema.apiKey),
+  createApiKey
+);
+
+/**
+ * @swagger
+ * /auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Authentication]
+ *     description: The key stops working immediately. It stays in the list with revokedAt set. Users with the apiKeys:manage permission (admins) can revoke any user's key.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: API key MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: API key revoked (or it was already revoked)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: The key belongs to another user
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  revokeApiKey
+);
+
+module.exports = router;
@@ -2,7 +2,17 @@ const express = require('express');
 const passport = require('passport');
 const router = express.Router();
 const User = require('../models/user');
-const { ensureAuthenticated, getBaseURL } = require('../config/passport');
+const { ensureAuthenticated, requirePermission, getBaseURL } = require('../config/passport');
+const { authValidationSchema, validate, validateObjectId } = require('../middleware/validation');
+const { getUsers, updateUserRole, updateUserStatus } = require('../controllers/userController');
+const {
+  issueTokens,
+  consumeRefreshToken,
+  revokeFamily,
+  readTokenFamily,
+  getBearerToken
+} = require('../services/tokens');
+const apiKeyRoutes = require('./apiKeyRoutes');
 
 /**
  * @swagger
@@ -36,14 +46,26 @@ const { ensureAuthenticated, getBaseURL } = require('../config/passport');
  *           description: User's profile picture URL
  *         role:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, viewer, clerk, editor, admin]
  *           example: "user"
- *           description: User's role in the system
+ *           description: |
+ *             User's role in the system. Each role grants a set of permissions:
+ *             - user: none (public routes and own loans, orders and reviews)
+ *             - viewer: books:read, categories:read
+ *             - clerk: books:read, stock:write
+ *             - editor: books:write, categories:write
+ *             - admin: every permission
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: []
+ *           description: Permissions granted by the role
  *         provider:
  *           type: string
  *           enum: [local, google]
  *           example: "google"
- *           description: Authentication provider
+ *           description: Provider the account was created or last linked with; a linked account can use both login methods
  *         lastLogin:
  *           type: string
  *           format: date-time
@@ -52,6 +74,10 @@ const { ensureAuthenticated, getBaseURL } = require('../config/passport');
  *           type: boolean
  *           example: true
  *           description: Whether email is verified
+ *         isActive:
+ *           type: boolean
+ *           example: true
+ *           description: Deactivated users cannot log in or use their tokens and API keys
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -59,6 +85,16 @@ const { ensureAuthenticated, getBaseURL } = require('../config/passport');
  *           type: string
  *           format: date-time
  *   securitySchemes:
+ *     BearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: Access token from POST /auth/token
+ *     ApiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *       description: Personal API key from POST /auth/api-keys. Only accepted on the book and category routes that list it, and only with the scope each route requires
  *     GoogleOAuth:
  *       type: oauth2
  *       flows:
@@ -148,7 +184,8 @@ router.get('/google', (req, res, next) => {
  */
 router.get('/google/callback', 
   passport.authenticate('google', { 
-    failureRedirect: '/auth/login/failure' 
+    failureRedirect: '/auth/login/failure',
+    failureMessage: true // Guarda el motivo (ej: cuenta desactivada) en req.session.messages
   }),
   async (req, res) => {
     try {
@@ -169,15 +206,412 @@ router.get('/google/callback',
   }
 );
 
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register with email and password
+ *     tags: [Authentication]
+ *     description: |
+ *       Creates a local account and starts a session. Passwords must be 8-72 characters long, include a lowercase letter, an uppercase letter and a number, and must not contain the email's local part.
+ *
+ *       Account linking: if the email belongs to a Google account without a password, sign in with Google first and call this endpoint with the same email; the password is added to that account so both login methods work.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, email, password]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Juan Pérez"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "juan@example.com"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *                 maxLength: 72
+ *                 example: "Biblioteca2024"
+ *     responses:
+ *       201:
+ *         description: User registered and logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Usuario registrado exitosamente"
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       200:
+ *         description: Password added to the signed-in Google account (accounts linked)
+ *       400:
+ *         description: Validation error (including weak passwords)
+ *       409:
+ *         description: The email is already registered (a Google-only account returns loginUrl to sign in with Google first)
+ */
+router.post('/register', validate(authValidationSchema.register), async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const existingUser = await User.findByEmail(email);
+
+    if (existingUser) {
+      // Cuenta de Google sin contraseña: solo su dueño, con la sesión de Google iniciada, puede agregarla
+      if (!existingUser.password) {
+        if (req.isAuthenticated() && req.user._id.equals(existingUser._id)) {
+          existingUser.password = password;
+          await existingUser.save();
+
+          return res.status(200).json({
+            success: true,
+            message: 'Contraseña agregada: ahora también puedes iniciar sesión con email y contraseña',
+            user: existingUser.publicProfile
+          });
+        }
+
+        return res.status(409).json({
+          success: false,
+          message: 'Ya existe una cuenta de Google con este email. Inicia sesión con Google y vuelve a registrarte con el mismo email para agregar una contraseña',
+          provider: 'google',
+          loginUrl: '/auth/google'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un usuario con este email'
+      });
+    }
+
+    const user = await User.create({
+      name,
+      email,
+      password,
+      provider: 'local',
+      lastLogin: new Date()
+    });
+
+    // Iniciar la sesión del usuario recién registrado
+    req.login(user, (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          message: 'Usuario registrado, pero no se pudo iniciar la sesión',
+          error: err.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Usuario registrado exitosamente',
+        user: user.publicProfile
+      });
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un usuario con este email'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno durante el registro',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Login with email and password
+ *     tags: [Authentication]
+ *     description: Starts a session for a local account. Accounts created with Google have no password until one is added through POST /auth/register while signed in with Google.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "juan@example.com"
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: "Biblioteca2024"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Inicio de sesión exitoso"
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Wrong email or password, or Google-only account (provider and loginUrl are returned)
+ *       403:
+ *         description: Account deactivated
+ */
+router.post('/login', validate(authValidationSchema.login), (req, res, next) => {
+  passport.authenticate('local', (error, user, info = {}) => {
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error interno durante el inicio de sesión',
+        error: error.message
+      });
+    }
+
+    if (!user) {
+      return res.status(info.status || 401).json({
+        success: false,
+        message: info.message || 'Email o contraseña incorrectos',
+        ...(info.provider && { provider: info.provider, loginUrl: '/auth/google' })
+      });
+    }
+
+    req.login(user, (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          message: 'Error al iniciar la sesión',
+          error: err.message
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Inicio de sesión exitoso',
+        user: user.publicProfile
+      });
+    });
+  })(req, res, next);
+});
+
+/**
+ * Función para autenticar con email y contraseña sin crear sesión
+ * Propósito: Usa la estrategia local de Passport desde /auth/token
+ * @returns {Promise<{user, info}>}
+ */
+const authenticateLocal = (req, res) => new Promise((resolve, reject) => {
+  passport.authenticate('local', { session: false }, (error, user, info = {}) => {
+    if (error) return reject(error);
+    resolve({ user, info });
+  })(req, res);
+});
+
+/**
+ * @swagger
+ * /auth/token:
+ *   post:
+ *     summary: Issue JWT access and refresh tokens
+ *     tags: [Authentication]
+ *     description: |
+ *       Issues a short-lived access token (send it as Authorization Bearer) and a refresh token. Three grant types are supported:
+ *       - password: email and password of a local account.
+ *       - refresh_token: exchanges a refresh token for a new pair. Each refresh token works only once; reusing one revokes every token of that login.
+ *       - session: issues tokens for the user of the current session (for example after signing in with Google).
+ *
+ *       Access tokens last 15 minutes and refresh tokens 30 days by default (ACCESS_TOKEN_MINUTES, REFRESH_TOKEN_DAYS). POST /auth/logout revokes them.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [grantType]
+ *             properties:
+ *               grantType:
+ *                 type: string
+ *                 enum: [password, refresh_token, session]
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Required for grantType password
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: Required for grantType password
+ *               refreshToken:
+ *                 type: string
+ *                 description: Required for grantType refresh_token
+ *           example:
+ *             grantType: "password"
+ *             email: "juan@example.com"
+ *             password: "Biblioteca2024"
+ *     responses:
+ *       200:
+ *         description: Tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Tokens emitidos exitosamente"
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 accessToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Access token lifetime in seconds
+ *                   example: 900
+ *                 refreshToken:
+ *                   type: string
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *                   description: Refresh token lifetime in seconds
+ *                   example: 2592000
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Wrong credentials, no session, or invalid, expired, reused or revoked refresh token
+ *       403:
+ *         description: Account deactivated
+ */
+router.post('/token', validate(authValidationSchema.token), async (req, res) => {
+  try {
+    const { grantType, refreshToken } = req.body;
+    let user;
+    let family;
+
+    if (grantType === 'password') {
+      const result = await authenticateLocal(req, res);
+      if (!result.user) {
+        return res.status(result.info.status || 401).json({
+          success: false,
+          message: result.info.message || 'Email o contraseña incorrectos',
+          ...(result.info.provider && { provider: result.info.provider, loginUrl: '/auth/google' })
+        });
+      }
+      user = result.user;
+    } else if (grantType === 'refresh_token') {
+      // Continúa la misma familia para que el logout pueda revocar toda la cadena
+      const payload = await consumeRefreshToken(refreshToken);
+      user = await User.findById(payload.sub);
+      family = payload.fam;
+    } else {
+      user = req.isAuthenticated() ? req.user : null;
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'No hay una sesión iniciada',
+          loginUrl: '/auth/google'
+        });
+      }
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'El usuario no existe o está desactivado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tokens emitidos exitosamente',
+      ...issueTokens(user, family),
+      user: user.publicProfile
+    });
+
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token expirado'
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token no válido'
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno al emitir los tokens',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /auth/logout:
  *   post:
  *     summary: Logout user
  *     tags: [Authentication]
- *     description: Logs out the authenticated user and destroys the session
+ *     description: Logs out the authenticated user and destroys the session. Token clients should send their refresh token in the body and/or the access token as Authorization Bearer; every token of that login (access and refresh) is revoked.
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token to revoke
  *     responses:
  *       200:
  *         description: Logout successful
@@ -195,8 +629,15 @@ router.get('/google/callback',
  *       500:
  *         description: Server error during logout
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', validate(authValidationSchema.logout), async (req, res) => {
   try {
+    // Revocar las familias de los tokens recibidos (los no válidos se ignoran)
+    const tokens = [req.body && req.body.refreshToken, getBearerToken(req)]
+      .filter(Boolean)
+      .map(readTokenFamily)
+      .filter(Boolean);
+    await Promise.all(tokens.map(token => revokeFamily(token.fam, token.sub, 'logout')));
+
     req.logout((err) => {
       if (err) {
         return res.status(500).json({
@@ -240,6 +681,7 @@ router.post('/logout', (req, res) => {
  *     description: Returns the profile of the currently authenticated user
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
  *     responses:
  *       200:
  *         description: User profile retrieved successfully
@@ -358,8 +800,21 @@ router.get('/status', (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Error en la autenticación con Google"
+ *       403:
+ *         description: The Google account belongs to a deactivated user
  */
 router.get('/login/failure', (req, res) => {
+  // Motivo informado por la estrategia de Google (se consume para no repetirlo)
+  const messages = req.session && req.session.messages;
+  const reason = messages && messages.length > 0 ? messages.pop() : null;
+
+  if (reason) {
+    return res.status(403).json({
+      success: false,
+      message: reason
+    });
+  }
+
   res.status(401).json({
     success: false,
     message: 'Error en la autenticación con Google',
@@ -377,11 +832,12 @@ router.get('/login/failure', (req, res) => {
  * @swagger
  * /auth/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users
  *     tags: [Authentication]
- *     description: Returns a list of all users - requires admin role
+ *     description: Returns a list of users, newest first, with search and filters - requires the users:read permission (admin role)
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -394,7 +850,30 @@ router.get('/login/failure', (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or email (case-insensitive, partial match)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, viewer, clerk, editor, admin]
+ *         description: Filter by role
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [local, google]
+ *         description: Filter by authentication provider
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
  *     responses:
  *       200:
  *         description: Users retrieved successfully
@@ -411,53 +890,154 @@ router.get('/login/failure', (req, res) => {
  *                     $ref: '#/components/schemas/User'
  *                 pagination:
  *                   type: object
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Not authenticated
  *       403:
- *         description: Insufficient permissions
+ *         description: Missing the users:read permission
  */
-router.get('/users', ensureAuthenticated, async (req, res) => {
-  try {
-    // Verificar si el usuario es administrador
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Acceso denegado. Se requieren permisos de administrador.'
-      });
-    }
-    
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-    
-    const [users, total] = await Promise.all([
-      User.find({})
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      User.countDocuments({})
-    ]);
-    
-    const totalPages = Math.ceil(total / limit);
-    
-    res.status(200).json({
-      success: true,
-      message: 'Usuarios obtenidos exitosamente',
-      data: users,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
-      }
-    });
-    
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error al obtener usuarios',
-      error: error.message
-    });
-  }
-});
+router.get('/users',
+  requirePermission('users:read'),
+  validate(authValidationSchema.userQuery, 'query'),
+  getUsers
+);
+
+/**
+ * @swagger
+ * /auth/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Authentication]
+ *     description: Assigns a role (and with it its permissions) to a user - requires the users:manage permission (admin role). The last active admin cannot lose the admin role.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: User MongoDB ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, viewer, clerk, editor, admin]
+ *           example:
+ *             role: "clerk"
+ *     responses:
+ *       200:
+ *         description: Role updated (or the user already had it)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Rol actualizado de user a clerk"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["books:read", "stock:write"]
+ *       400:
+ *         description: Invalid ID or role
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing the users:manage permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the last active admin, or it was modified by another request at the same time (retry)
+ */
+router.patch('/users/:id/role',
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  validate(authValidationSchema.userRole),
+  updateUserRole
+);
+
+/**
+ * @swagger
+ * /auth/users/{id}/status:
+ *   patch:
+ *     summary: Activate or deactivate a user
+ *     tags: [Authentication]
+ *     description: A deactivated user cannot log in, and their session, JWT tokens and API keys stop working immediately - requires the users:manage permission (admin role). You cannot deactivate your own account or the last active admin.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: User MongoDB ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [isActive]
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *           example:
+ *             isActive: false
+ *     responses:
+ *       200:
+ *         description: Status updated (or it already had that status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Usuario desactivado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid ID or body, or trying to deactivate your own account
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Missing the users:manage permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the last active admin, or it was modified by another request at the same time (retry)
+ */
+router.patch('/users/:id/status',
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  validate(authValidationSchema.userStatus),
+  updateUserStatus
+);
+
+// Claves de API personales (/auth/api-keys)
+router.use('/api-keys', apiKeyRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -5,7 +5,11 @@ const router = express.Router();
 const {
   getBooks,
   getBookById,
+  getBookByIsbn,
+  lookupBooksByIsbn,
+  enrichNewBook,
   createBook,
+  enrichBook,
   updateBook,
   deleteBook,
   getAvailableBooks,
@@ -13,19 +17,36 @@ const {
   getFeaturedBooks,
   searchBooks,
   updateBookStock,
+  importBooks,
+  exportBooks,
+  getLowStockBooks,
   getBookStats
 } = require('../controllers/bookController');
+const {
+  getStockHistory,
+  getStockReport
+} = require('../controllers/stockController');
 
 // Importar middleware de validación
 const {
   bookValidationSchema,
+  stockValidationSchema,
   validate,
   validateObjectId,
-  validateQueryParams
+  validateQueryParams,
+  bookFieldSelectionSchema,
+  BOOK_SORT_FIELDS
 } = require('../middleware/validation');
 
+// Importar middleware para aceptar ID o slug de categoría
+const { resolveCategoryParam } = require('../middleware/categoryParam');
+
 // Importar middleware de autenticación
-const { ensureAuthenticated, ensureAdmin, optionalAuth } = require('../config/passport');
+const { ensureAuthenticated, requirePermission, requirePermissionForFields, optionalAuth } = require('../config/passport');
+const { STOCK_FIELDS } = require('../config/permissions');
+
+// Importar rutas anidadas
+const reviewRoutes = require('./reviewRoutes');
 
 const Joi = require('joi');
 
@@ -48,6 +69,9 @@ const Joi = require('joi');
  *     summary: Get only available books
  *     tags: [Books]
  *     description: Retrieves books that are in stock and available for sale
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
  *     responses:
  *       200:
  *         description: List of available books
@@ -72,7 +96,10 @@ const Joi = require('joi');
  *       500:
  *         description: Server error
  */
-router.get('/available', getAvailableBooks);
+router.get('/available',
+  validate(bookFieldSelectionSchema, 'query'),
+  getAvailableBooks
+);
 
 /**
  * @swagger
@@ -81,6 +108,9 @@ router.get('/available', getAvailableBooks);
  *     summary: Get featured books
  *     tags: [Books]
  *     description: Retrieves books marked as featured, ordered by rating
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
  *     responses:
  *       200:
  *         description: List of featured books
@@ -98,7 +128,10 @@ router.get('/available', getAvailableBooks);
  *                 count:
  *                   type: integer
  */
-router.get('/featured', getFeaturedBooks);
+router.get('/featured',
+  validate(bookFieldSelectionSchema, 'query'),
+  getFeaturedBooks
+);
 
 /**
  * @swagger
@@ -109,6 +142,8 @@ router.get('/featured', getFeaturedBooks);
  *     description: Dashboard with financial metrics and inventory statistics
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Book statistics
@@ -133,22 +168,306 @@ router.get('/featured', getFeaturedBooks);
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the books:read permission (user role or API key scope)
  */
-router.get('/stats', ensureAdmin, getBookStats);
+router.get('/stats', requirePermission('books:read'), getBookStats);
+
+/**
+ * @swagger
+ * /api/books/low-stock:
+ *   get:
+ *     summary: Get books at or below their reorder threshold (Admin only)
+ *     tags: [Books]
+ *     description: The threshold is the book's reorderThreshold, else its category's defaultReorderThreshold, else the global REORDER_THRESHOLD_DEFAULT. Sorted by urgency (lowest stock relative to threshold first). Discontinued books are excluded.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Low-stock books
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       title:
+ *                         type: string
+ *                       stock:
+ *                         type: integer
+ *                       reorderThreshold:
+ *                         type: integer
+ *                       thresholdSource:
+ *                         type: string
+ *                         enum: [book, category, default]
+ *                       shortage:
+ *                         type: integer
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the books:read permission (user role or API key scope)
+ */
+router.get('/low-stock', requirePermission('books:read'), getLowStockBooks);
+
+/**
+ * @swagger
+ * /api/books/export:
+ *   get:
+ *     summary: Export the catalog as CSV, JSON Lines or ONIX (Admin only)
+ *     tags: [Books]
+ *     description: |
+ *       Streams every book matching the filters (the same ones accepted by GET /api/books, without pagination) as a file download. Category IDs are resolved to names.
+ *       - csv: one row per book with a header; columns match the import format, so the file can be imported back
+ *       - jsonl: one JSON object per line, with category as { _id, name }
+ *       - onix: ONIX 3.0 style XML (ONIXMessage with one Product per book: ISBN, title, author, language, pages, subject, description, publisher, publication date, availability, stock and price)
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl, onix]
+ *           default: csv
+ *         description: Output format
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *         description: Same sort keys as GET /api/books
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search filter
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [disponible, agotado, descontinuado, próximamente]
+ *         description: Filter by book status
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price filter
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price filter
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Filter by language
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *         description: Filter featured books
+ *       - in: query
+ *         name: decade
+ *         schema:
+ *           type: integer
+ *         description: Filter by publication decade
+ *     responses:
+ *       200:
+ *         description: Catalog file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format or filters
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the books:read permission (user role or API key scope)
+ */
+router.get('/export',
+  requirePermission('books:read'),
+  validateQueryParams({ sortFields: BOOK_SORT_FIELDS }),
+  validate(bookValidationSchema.exportQuery, 'query'),
+  exportBooks
+);
+
+/**
+ * @swagger
+ * /api/books/stock/report:
+ *   get:
+ *     summary: Reconstruct stock at a past date (Admin only)
+ *     tags: [Books]
+ *     description: Calculates each book's stock at the given date by subtracting the stock movements recorded after it from the current stock. Books created after the date are not included.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Date to reconstruct the stock at
+ *         example: "2025-01-31T23:59:59Z"
+ *       - in: query
+ *         name: book
+ *         schema:
+ *           type: string
+ *         description: Limit the report to one book ID
+ *     responses:
+ *       200:
+ *         description: Stock per book at the given date
+ *       400:
+ *         description: Missing or invalid date
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the books:read permission (user role or API key scope)
+ */
+router.get('/stock/report',
+  requirePermission('books:read'),
+  validate(stockValidationSchema.report, 'query'),
+  getStockReport
+);
 
 /**
  * RUTAS DE BÚSQUEDA
  * Propósito: Búsquedas especializadas de libros
  */
 
+/**
+ * @swagger
+ * /api/books/isbn/{isbn}:
+ *   get:
+ *     summary: Get a book by ISBN
+ *     tags: [Books]
+ *     description: Accepts ISBN-10 or ISBN-13 with any hyphenation (e.g. a scanned barcode) and returns the book with its category.
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "0-306-40615-2"
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
+ *     responses:
+ *       200:
+ *         description: Book found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: Invalid ISBN (format or checksum)
+ *       404:
+ *         description: No book with this ISBN
+ */
+router.get('/isbn/:isbn',
+  validate(bookValidationSchema.isbnParam, 'params'), // Convierte el ISBN a ISBN-13
+  validate(bookFieldSelectionSchema, 'query'),
+  getBookByIsbn
+);
+
+/**
+ * @swagger
+ * /api/books/isbn/lookup:
+ *   post:
+ *     summary: Look up several books by ISBN
+ *     tags: [Books]
+ *     description: Batch lookup of up to 100 ISBNs (any hyphenation, ISBN-10 or ISBN-13). Reports the ISBNs that are not in the catalog and the ones that are not valid ISBNs.
+ *     parameters:
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [isbns]
+ *             properties:
+ *               isbns:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *             example:
+ *               isbns: ["0-306-40615-2", "9780156012195", "9780000000002"]
+ *     responses:
+ *       200:
+ *         description: Lookup results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Book'
+ *                 notFound:
+ *                   type: array
+ *                   description: Valid ISBNs (as sent) with no matching book
+ *                   items:
+ *                     type: string
+ *                 invalid:
+ *                   type: array
+ *                   description: Values that are not valid ISBNs (as sent)
+ *                   items:
+ *                     type: string
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Missing list or more than 100 ISBNs
+ */
+router.post('/isbn/lookup',
+  validate(bookValidationSchema.isbnLookup),
+  validate(bookFieldSelectionSchema, 'query'),
+  lookupBooksByIsbn
+);
+
 /**
  * @swagger
  * /api/books/search/{searchTerm}:
  *   get:
  *     summary: Search books by term
  *     tags: [Books]
- *     description: Advanced search by title, author and description
+ *     description: Full-text search over title, author and description (weighted in that order), sorted by relevance. Each result includes its relevance score. When a language filter is given, the term is stemmed for that language. Matching ignores accents ("fisica" finds "Física"). When the full-text search finds nothing, a typo-tolerant search over title and author words is run instead (matchType "aproximada") and a "did you mean" suggestion is returned when one is available.
  *     parameters:
  *       - in: path
  *         name: searchTerm
@@ -179,6 +498,8 @@ router.get('/stats', ensureAdmin, getBookStats);
  *         schema:
  *           type: string
  *         description: Filter by language
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
  *     responses:
  *       200:
  *         description: Search results
@@ -195,6 +516,15 @@ router.get('/stats', ensureAdmin, getBookStats);
  *                     $ref: '#/components/schemas/Book'
  *                 searchTerm:
  *                   type: string
+ *                 matchType:
+ *                   type: string
+ *                   enum: [exacta, aproximada]
+ *                   description: exacta for full-text matches, aproximada when the typo-tolerant fallback was used
+ *                 didYouMean:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Suggested spelling when the full-text search found nothing
+ *                   example: "física cuántica"
  *                 count:
  *                   type: integer
  *       400:
@@ -217,6 +547,7 @@ router.get('/search/:searchTerm',
     }
     next();
   },
+  validate(bookFieldSelectionSchema, 'query'),
   searchBooks
 );
 
@@ -226,16 +557,21 @@ router.get('/search/:searchTerm',
  *   get:
  *     summary: Get books by category
  *     tags: [Books]
- *     description: Filters books of a specific category
+ *     description: Filters books of a specific category. The category block includes its breadcrumbs (path from the root category).
  *     parameters:
  *       - in: path
  *         name: categoryId
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: Category MongoDB ObjectId
- *         example: "60b4f1e5b6d4a4001f4e4e4e"
+ *         description: Category MongoDB ObjectId or slug (an old slug redirects with 301 to the current one)
+ *         example: "ciencia-ficcion"
+ *       - in: query
+ *         name: includeDescendants
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also include books from all subcategories (children, grandchildren, ...)
  *     responses:
  *       200:
  *         description: Books from the specified category
@@ -254,13 +590,14 @@ router.get('/search/:searchTerm',
  *                   type: object
  *                 count:
  *                   type: integer
- *       400:
- *         description: Invalid category ID
+ *       301:
+ *         description: Old category slug; redirects to the URL with the current slug
  *       404:
  *         description: Category not found
  */
 router.get('/category/:categoryId', 
-  validateObjectId('categoryId'),
+  resolveCategoryParam('categoryId'), // Acepta ID o slug
+  validate(bookValidationSchema.categoryQuery, 'query'),
   getBooksByCategory
 );
 
@@ -294,12 +631,13 @@ router.get('/category/:categoryId',
  *         schema:
  *           type: string
  *           default: "-createdAt"
- *         description: Sort criteria
+ *           example: "-averageRating,price"
+ *         description: Comma-separated sort keys, prefix - for descending. Allowed fields are title, author, price, publishedDate, averageRating, createdAt and stock. Titles are sorted with Spanish collation (except together with search). Any other field returns 400 listing the allowed values.
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in title, author, description
+ *         description: Full-text search in title, author, description. Results are sorted by relevance unless sort is given, and include a score.
  *       - in: query
  *         name: category
  *         schema:
@@ -331,6 +669,25 @@ router.get('/category/:categoryId',
  *         schema:
  *           type: boolean
  *         description: Filter featured books
+ *       - in: query
+ *         name: decade
+ *         schema:
+ *           type: integer
+ *           example: 1990
+ *         description: Filter by publication decade (first year of the decade)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opt-in cursor pagination. Send an empty value for the first page, then the nextCursor or prevCursor returned by the previous response. page is ignored in this mode.
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include facet counts by category, language, status, price range and publication decade. Each facet is computed with every active filter except its own.
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
  *     responses:
  *       200:
  *         description: List of books retrieved successfully
@@ -364,13 +721,28 @@ router.get('/category/:categoryId',
  *                       type: boolean
  *                     hasPrevPage:
  *                       type: boolean
+ *                     mode:
+ *                       type: string
+ *                       enum: [cursor]
+ *                       description: Present only in cursor mode (currentPage and totalPages are omitted)
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
  *                 filters:
  *                   type: object
+ *                 facets:
+ *                   $ref: '#/components/schemas/BookFacets'
+ *       400:
+ *         description: Invalid query parameters or cursor
  *       500:
  *         description: Server error
  */
 router.get('/', 
-  validateQueryParams(), // Valida todos los parámetros de consulta
+  validateQueryParams({ sortFields: BOOK_SORT_FIELDS }), // Valida todos los parámetros de consulta
+  validate(bookFieldSelectionSchema, 'query'),
   getBooks
 );
 
@@ -380,9 +752,19 @@ router.get('/',
  *   post:
  *     summary: Create a new book
  *     tags: [Books]
- *     description: Creates a new book in the inventory with 16+ fields
+ *     description: |
+ *       Creates a new book in the inventory with 16+ fields. Setting stock, status or totalCopies also requires the stock:write permission (otherwise 403 with restrictedFields); without them the book starts with the defaults. With enrich=true the fields that are missing from the body are pre-filled from the bibliographic provider using the ISBN before validation, so a book can be created from just its ISBN, category and price. Values sent in the body are never overwritten; differences are reported in enrichment.suggestions.
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: enrich
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Pre-fill missing fields from the bibliographic provider
  *     requestBody:
  *       required: true
  *       content:
@@ -414,9 +796,8 @@ router.get('/',
  *                 description: "Book author"
  *               isbn:
  *                 type: string
- *                 pattern: '^(?:\\d{9}[\\dX]|\\d{13})$'
- *                 example: "9781451648539"
- *                 description: "ISBN-10 or ISBN-13"
+ *                 example: "978-1-4516-4853-9"
+ *                 description: "ISBN-10 or ISBN-13, hyphens allowed. The checksum is verified and the book is stored as a hyphen-free ISBN-13"
  *               description:
  *                 type: string
  *                 minLength: 10
@@ -469,19 +850,20 @@ router.get('/',
  *                 type: string
  *                 format: uri
  *                 description: "Cover image URL (optional)"
- *               averageRating:
- *                 type: number
- *                 minimum: 0
- *                 maximum: 5
- *                 description: "Average rating (optional)"
- *               reviewCount:
- *                 type: integer
- *                 minimum: 0
- *                 description: "Number of reviews (optional)"
  *               isFeatured:
  *                 type: boolean
  *                 example: false
  *                 description: "Whether book is featured (optional)"
+ *               totalCopies:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 3
+ *                 description: "Copies available for library lending (optional)"
+ *               reorderThreshold:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 5
+ *                 description: "Stock level that triggers a reorder alert (optional, defaults to the category's)"
  *           example:
  *             title: "Steve Jobs Biography"
  *             author: "Walter Isaacson"
@@ -510,6 +892,8 @@ router.get('/',
  *                   example: "Libro creado exitosamente"
  *                 data:
  *                   $ref: '#/components/schemas/Book'
+ *                 enrichment:
+ *                   $ref: '#/components/schemas/BookEnrichment'
  *       400:
  *         description: Validation error or invalid category
  *         content:
@@ -519,18 +903,203 @@ router.get('/',
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the books:write permission, or stock:write when sending stock, status or totalCopies (user role or API key scope)
  *       409:
  *         description: ISBN already exists
  *       500:
  *         description: Internal server error
  */
 router.post('/', 
-  ensureAdmin, // Requiere autenticación de admin
+  requirePermission('books:write'), // Requiere el permiso books:write
+  requirePermissionForFields('stock:write', STOCK_FIELDS), // Y stock:write para fijar el inventario inicial
+  validate(bookValidationSchema.createQuery, 'query'),
+  enrichNewBook, // Con ?enrich=true completa los campos que faltan antes de validar
   validate(bookValidationSchema.create), // Valida todos los campos requeridos
   createBook
 );
 
+/**
+ * @swagger
+ * /api/books/import:
+ *   post:
+ *     summary: Bulk import books from CSV or JSON (Admin only)
+ *     tags: [Books]
+ *     description: |
+ *       Every row is validated with the same rules as POST /api/books. The category column accepts a category ID or name (case and accent insensitive); a categoryName column is also accepted. CSV files need a header row with the book field names and may use comma or semicolon separators. A rejected row does not stop the others. Up to 1000 rows per request. Rows that set stock, status or totalCopies (new or upserted books) are rejected unless the caller also has the stock:write permission.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report what would happen without saving anything
+ *       - in: query
+ *         name: upsert
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Update books whose ISBN already exists instead of rejecting them
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               title,author,isbn,description,category,publishedDate,publisher,pages,language,price,stock
+ *               Cien años de soledad,Gabriel García Márquez,9780307474728,Novela del realismo mágico,Ficción,1967-05-30,Sudamericana,471,español,19.99,10
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Book'
+ *     responses:
+ *       200:
+ *         description: Per-row import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 dryRun:
+ *                   type: boolean
+ *                 upsert:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     rejected:
+ *                       type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: 1-based data row (the CSV header is not counted)
+ *                       isbn:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [creado, actualizado, rechazado]
+ *                       bookId:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Empty, malformed or too large input
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the books:write permission (user role or API key scope)
+ */
+router.post('/import',
+  requirePermission('books:write'),
+  express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '10mb' }), // Cuerpo CSV como texto
+  validate(bookValidationSchema.importQuery, 'query'),
+  importBooks
+);
+
+/**
+ * @swagger
+ * /api/books/enrich:
+ *   post:
+ *     summary: Look up bibliographic metadata by ISBN (Admin only)
+ *     tags: [Books]
+ *     description: |
+ *       Fetches metadata for an ISBN from the bibliographic provider (a local file by default). Fields missing from the body are pre-filled in data; fields whose value differs from the provider are listed in suggestions. When only the ISBN is sent and the book is already in the catalog, the comparison is made against the stored book. Nothing is saved.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [isbn]
+ *             properties:
+ *               isbn:
+ *                 type: string
+ *                 example: "0-451-52493-4"
+ *               title:
+ *                 type: string
+ *               author:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               publishedDate:
+ *                 type: string
+ *                 format: date
+ *               publisher:
+ *                 type: string
+ *               pages:
+ *                 type: integer
+ *               language:
+ *                 type: string
+ *               coverImage:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Metadata found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/BookEnrichment'
+ *                 - type: object
+ *                   properties:
+ *                     success:
+ *                       type: boolean
+ *                       example: true
+ *                     isbn:
+ *                       type: string
+ *                       example: "9780451524935"
+ *                     bookId:
+ *                       type: string
+ *                       description: Catalog book used for the comparison, if any
+ *                     metadata:
+ *                       type: object
+ *                       description: Raw metadata returned by the provider
+ *                     data:
+ *                       type: object
+ *                       description: Sent (or stored) values with the missing fields filled in
+ *       400:
+ *         description: Missing or invalid ISBN
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the books:write permission (user role or API key scope)
+ *       404:
+ *         description: The provider has no data for this ISBN
+ *       502:
+ *         description: The bibliographic provider could not be reached
+ */
+router.post('/enrich',
+  requirePermission('books:write'),
+  validate(bookValidationSchema.enrich),
+  enrichBook
+);
+
 /**
  * RUTAS CON PARÁMETROS ID
  * Propósito: Operaciones sobre libros específicos
@@ -552,6 +1121,8 @@ router.post('/',
  *           pattern: '^[0-9a-fA-F]{24}$'
  *         description: Book MongoDB ObjectId
  *         example: "60b4f1e5b6d4a4001f4e4e4e"
+ *       - $ref: '#/components/parameters/BookFields'
+ *       - $ref: '#/components/parameters/BookInclude'
  *     responses:
  *       200:
  *         description: Book retrieved successfully
@@ -577,6 +1148,7 @@ router.post('/',
  */
 router.get('/:id', 
   validateObjectId('id'),
+  validate(bookFieldSelectionSchema, 'query'),
   getBookById
 );
 
@@ -586,9 +1158,11 @@ router.get('/:id',
  *   put:
  *     summary: Update a book
  *     tags: [Books]
- *     description: Updates any field of a book
+ *     description: Updates any field of a book. Changing stock, status or totalCopies also requires the stock:write permission; without it the request is rejected with 403 (restrictedFields lists the fields sent).
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -640,7 +1214,7 @@ router.get('/:id',
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the books:write permission, or stock:write when sending stock, status or totalCopies (user role or API key scope)
  *       404:
  *         description: Book not found
  *       409:
@@ -649,7 +1223,8 @@ router.get('/:id',
  *         description: Server error
  */
 router.put('/:id', 
-  ensureAdmin, // Requiere autenticación de admin
+  requirePermission('books:write'), // Requiere el permiso books:write
+  requirePermissionForFields('stock:write', STOCK_FIELDS), // Y stock:write para tocar el inventario
   validateObjectId('id'),
   validate(bookValidationSchema.update),
   updateBook
@@ -664,6 +1239,8 @@ router.put('/:id',
  *     description: Completely removes a book from the inventory
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -681,14 +1258,14 @@ router.put('/:id',
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the books:delete permission (user role or API key scope)
  *       404:
  *         description: Book not found
  *       500:
  *         description: Server error
  */
 router.delete('/:id', 
-  ensureAdmin, // Requiere autenticación de admin
+  requirePermission('books:delete'), // Requiere el permiso books:delete
   validateObjectId('id'),
   deleteBook
 );
@@ -699,9 +1276,11 @@ router.delete('/:id',
  *   patch:
  *     summary: Update book stock
  *     tags: [Books]
- *     description: Specific inventory management (add, reduce, set stock)
+ *     description: Specific inventory management (add, reduce, set stock). Each operation is a single atomic update, so concurrent reductions cannot oversell.
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -729,9 +1308,15 @@ router.delete('/:id',
  *                 enum: [add, reduce, set]
  *                 example: "add"
  *                 description: "Stock operation type"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: "Reposición del proveedor"
+ *                 description: "Reason recorded in the stock history (optional)"
  *           example:
  *             quantity: 10
  *             operation: "add"
+ *             reason: "Reposición del proveedor"
  *     responses:
  *       200:
  *         description: Stock updated successfully
@@ -740,12 +1325,14 @@ router.delete('/:id',
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the stock:write permission (user role or API key scope)
  *       404:
  *         description: Book not found
+ *       409:
+ *         description: Insufficient stock for a reduction (response includes currentStock)
  */
 router.patch('/:id/stock', 
-  ensureAdmin, // Requiere autenticación de admin
+  requirePermission('stock:write'), // Requiere el permiso stock:write
   validateObjectId('id'),
   // Validación específica para operaciones de stock
   (req, res, next) => {
@@ -765,6 +1352,14 @@ router.patch('/:id/stock',
         .required()
         .messages({
           'any.only': 'La operación debe ser: add, reduce, o set'
+        }),
+
+      reason: Joi.string()
+        .trim()
+        .max(200)
+        .optional()
+        .messages({
+          'string.max': 'El motivo no puede exceder 200 caracteres'
         })
     });
 
@@ -781,4 +1376,80 @@ router.patch('/:id/stock',
   updateBookStock
 );
 
+/**
+ * @swagger
+ * /api/books/{id}/stock/history:
+ *   get:
+ *     summary: Get stock movement history of a book (Admin only)
+ *     tags: [Books]
+ *     description: Every stock change with delta, resulting stock, operation, reason, user and timestamp, newest first
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Book ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *       - in: query
+ *         name: operation
+ *         schema:
+ *           type: string
+ *           enum: [add, reduce, set, update, create, order, seed]
+ *         description: Filter by operation
+ *     responses:
+ *       200:
+ *         description: Stock history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 book:
+ *                   type: object
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid book ID
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Missing the books:read permission (user role or API key scope)
+ *       404:
+ *         description: Book not found
+ */
+router.get('/:id/stock/history',
+  requirePermission('books:read'),
+  validateObjectId('id'),
+  validate(stockValidationSchema.history, 'query'),
+  getStockHistory
+);
+
+/**
+ * RUTAS ANIDADAS
+ * Propósito: Recursos que dependen de un libro específico
+ */
+router.use('/:id/reviews', reviewRoutes);
+
 module.exports = router;
\ No newline at end of file
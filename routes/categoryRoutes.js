@@ -10,6 +10,7 @@ const {
   deleteCategory,
   getActiveCategories,
   toggleCategoryStatus,
+  getCategoryTree,
   getCategoryStats
 } = require('../controllers/categoryController');
 
@@ -17,12 +18,14 @@ const {
 const {
   categoryValidationSchema,
   validate,
-  validateObjectId,
   validateQueryParams
 } = require('../middleware/validation');
 
+// Importar middleware para aceptar ID o slug
+const { resolveCategoryParam } = require('../middleware/categoryParam');
+
 // Importar middleware de autenticación
-const { ensureAuthenticated, ensureAdmin, optionalAuth } = require('../config/passport');
+const { ensureAuthenticated, requirePermission, optionalAuth } = require('../config/passport');
 
 /**
  * @swagger
@@ -69,6 +72,8 @@ router.get('/active', getActiveCategories);
  *     tags: [Categories]
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Category statistics
@@ -89,9 +94,45 @@ router.get('/active', getActiveCategories);
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the categories:read permission (user role or API key scope)
  */
-router.get('/stats', ensureAdmin, getCategoryStats);
+router.get('/stats', requirePermission('categories:read'), getCategoryStats);
+
+/**
+ * @swagger
+ * /api/categories/tree:
+ *   get:
+ *     summary: Get categories as a nested tree
+ *     tags: [Categories]
+ *     description: Returns root categories with their subcategories nested in children. bookCount is rolled up (the category plus all its subcategories); ownBookCount counts only the category's own books. Categories whose parent no longer exists are returned as roots.
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Keep only active (or inactive) categories. A filtered-out category drops its whole subtree, and rolled-up counts only include the categories shown.
+ *     responses:
+ *       200:
+ *         description: Category tree
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CategoryTreeNode'
+ *                 count:
+ *                   type: integer
+ *                   description: Number of root categories
+ */
+router.get('/tree',
+  validate(categoryValidationSchema.treeQuery, 'query'),
+  getCategoryTree
+);
 
 /**
  * RUTAS PRINCIPALES CRUD
@@ -127,6 +168,11 @@ router.get('/stats', ensureAdmin, getCategoryStats);
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opt-in cursor pagination. Send an empty value for the first page, then the nextCursor or prevCursor returned by the previous response. page is ignored in this mode.
  *     responses:
  *       200:
  *         description: List of categories retrieved successfully
@@ -160,6 +206,18 @@ router.get('/stats', ensureAdmin, getCategoryStats);
  *                       type: boolean
  *                     hasPrevPage:
  *                       type: boolean
+ *                     mode:
+ *                       type: string
+ *                       enum: [cursor]
+ *                       description: Present only in cursor mode (currentPage and totalPages are omitted)
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid cursor
  *       500:
  *         description: Server error
  */
@@ -176,6 +234,8 @@ router.get('/',
  *     tags: [Categories]
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -207,6 +267,16 @@ router.get('/',
  *                 type: boolean
  *                 example: true
  *                 description: "Whether category is active (optional, defaults to true)"
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "60b4f1e5b6d4a4001f4e4e4e"
+ *                 description: "Parent category ID for subcategories (optional). An active category cannot be created under an inactive parent."
+ *               defaultReorderThreshold:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 5
+ *                 description: "Default reorder point for books in this category (optional)"
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -224,18 +294,18 @@ router.get('/',
  *                 data:
  *                   $ref: '#/components/schemas/Category'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the parent does not exist or is inactive
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the categories:write permission (user role or API key scope)
  *       409:
  *         description: Category already exists
  *       500:
  *         description: Internal server error
  */
 router.post('/', 
-  ensureAdmin, // Requiere autenticación de admin
+  requirePermission('categories:write'), // Requiere el permiso categories:write
   validate(categoryValidationSchema.create), // Valida datos de entrada
   createCategory
 );
@@ -249,17 +319,17 @@ router.post('/',
  * @swagger
  * /api/categories/{id}:
  *   get:
- *     summary: Get category by ID
+ *     summary: Get category by ID or slug
  *     tags: [Categories]
+ *     description: Accepts the category ObjectId or its slug. A slug the category had before being renamed returns a 301 redirect to the current slug.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: MongoDB ObjectId of the category
- *         example: "60b4f1e5b6d4a4001f4e4e4e"
+ *         description: MongoDB ObjectId or slug of the category
+ *         example: "ciencia-ficcion"
  *     responses:
  *       200:
  *         description: Category retrieved successfully
@@ -275,16 +345,43 @@ router.post('/',
  *                   type: string
  *                   example: "Categoría obtenida exitosamente"
  *                 data:
- *                   $ref: '#/components/schemas/Category'
- *       400:
- *         description: Invalid category ID
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Category'
+ *                     - type: object
+ *                       properties:
+ *                         breadcrumbs:
+ *                           type: array
+ *                           description: Path from the root category down to this one
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                         children:
+ *                           type: array
+ *                           description: Direct subcategories
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               color:
+ *                                 type: string
+ *                               isActive:
+ *                                 type: boolean
+ *       301:
+ *         description: Old slug; redirects to the URL with the current slug
  *       404:
  *         description: Category not found
  *       500:
  *         description: Server error
  */
 router.get('/:id', 
-  validateObjectId('id'), // Valida que el ID sea un ObjectId válido
+  resolveCategoryParam('id'), // Acepta ID o slug (los slugs anteriores redirigen)
   getCategoryById
 );
 
@@ -296,15 +393,16 @@ router.get('/:id',
  *     tags: [Categories]
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: MongoDB ObjectId of the category
- *         example: "60b4f1e5b6d4a4001f4e4e4e"
+ *         description: MongoDB ObjectId or slug of the category
+ *         example: "ciencia-ficcion"
  *     requestBody:
  *       content:
  *         application/json:
@@ -331,7 +429,11 @@ router.get('/:id',
  *               isActive:
  *                 type: boolean
  *                 example: true
- *                 description: "Updated active status"
+ *                 description: "Updated active status. Deactivating also deactivates all subcategories; activating requires an active parent."
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: "New parent category ID, or null to make it a root category. Cannot be the category itself or one of its subcategories."
  *           example:
  *             description: "Updated description for biographical books, memoirs and autobiographies"
  *             color: "#28a745"
@@ -339,11 +441,11 @@ router.get('/:id',
  *       200:
  *         description: Category updated successfully
  *       400:
- *         description: Invalid ID or validation error
+ *         description: Validation error, or invalid parent (missing, inactive or would create a cycle)
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the categories:write permission (user role or API key scope)
  *       404:
  *         description: Category not found
  *       409:
@@ -352,8 +454,8 @@ router.get('/:id',
  *         description: Server error
  */
 router.put('/:id', 
-  ensureAdmin, // Requiere autenticación de admin
-  validateObjectId('id'),
+  requirePermission('categories:write'), // Requiere el permiso categories:write
+  resolveCategoryParam('id'),
   validate(categoryValidationSchema.update),
   updateCategory
 );
@@ -364,35 +466,116 @@ router.put('/:id',
  *   delete:
  *     summary: Delete a category
  *     tags: [Categories]
- *     description: Deletes a category. If the category has associated books, it will be deactivated instead of deleted.
+ *     description: |
+ *       Deletes a category. A category without books is deleted directly. When it has books, one of these options is required (otherwise 409 is returned):
+ *       - reassignTo: moves all its books to another active category, then deletes it.
+ *       - force=true: deletes the category anyway and leaves its books without a category (the category field is removed). Those books keep being listed and can be given a new category with PUT /api/books/:id.
+ *
+ *       Counting the books, moving books and subcategories and deleting the category happen in one transaction. With preview=true nothing is changed; the response reports the action that would be taken and the affected books. When the category is deleted, its direct subcategories are moved up to its parent (or become root categories).
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           pattern: '^[0-9a-fA-F]{24}$'
- *         description: MongoDB ObjectId of the category
- *         example: "60b4f1e5b6d4a4001f4e4e4e"
+ *         description: MongoDB ObjectId or slug of the category
+ *         example: "ciencia-ficcion"
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: ObjectId or slug of the active category that receives the books. Cannot be combined with force.
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Delete the category even if it has books, leaving them without a category
+ *       - in: query
+ *         name: preview
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only report what would happen, without changing anything
  *     responses:
  *       200:
- *         description: Category deleted or deactivated successfully
+ *         description: Category deleted, or the preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preview:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     booksCount:
+ *                       type: integer
+ *                     childrenCount:
+ *                       type: integer
+ *                     reassignTo:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                     action:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [eliminar, reasignar, desvincular]
+ *                       description: Preview only; null when reassignTo or force is required
+ *                     books:
+ *                       type: array
+ *                       description: Preview only; affected books (up to 100, by title)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           isbn:
+ *                             type: string
+ *                     hasMoreBooks:
+ *                       type: boolean
+ *                     movedBooks:
+ *                       type: integer
+ *                     uncategorizedBooks:
+ *                       type: integer
+ *                       description: Books left without a category (force=true)
+ *                     movedChildren:
+ *                       type: integer
  *       400:
- *         description: Invalid category ID
+ *         description: Invalid options, or the target category is missing, inactive or the same category
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the categories:delete permission (user role or API key scope)
  *       404:
  *         description: Category not found
+ *       409:
+ *         description: The category has books and neither reassignTo nor force was given
  *       500:
  *         description: Server error
  */
 router.delete('/:id', 
-  ensureAdmin, // Requiere autenticación de admin
-  validateObjectId('id'),
+  requirePermission('categories:delete'), // Requiere el permiso categories:delete
+  resolveCategoryParam('id'),
+  validate(categoryValidationSchema.deleteQuery, 'query'),
   deleteCategory
 );
 
@@ -402,30 +585,40 @@ router.delete('/:id',
  *   patch:
  *     summary: Toggle category active status
  *     tags: [Categories]
+ *     description: Deactivating a category also deactivates all its subcategories. A category can only be activated when its parent is active; its subcategories stay inactive unless includeDescendants=true.
  *     security:
  *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Category ID
+ *         description: Category ObjectId or slug
+ *       - in: query
+ *         name: includeDescendants
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: When activating, also reactivate all subcategories
  *     responses:
  *       200:
- *         description: Category status toggled successfully
+ *         description: Category status toggled successfully (affectedChildren reports the subcategories that changed too)
  *       400:
- *         description: Invalid ID
+ *         description: The parent category is inactive
  *       401:
  *         description: Authentication required
  *       403:
- *         description: Admin access required
+ *         description: Missing the categories:write permission (user role or API key scope)
  *       404:
  *         description: Category not found
  */
 router.patch('/:id/toggle-status', 
-  ensureAdmin, // Requiere autenticación de admin
-  validateObjectId('id'),
+  requirePermission('categories:write'), // Requiere el permiso categories:write
+  resolveCategoryParam('id'),
+  validate(categoryValidationSchema.toggleQuery, 'query'),
   toggleCategoryStatus
 );
 
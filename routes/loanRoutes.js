@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores
+const {
+  borrowBook,
+  returnLoan,
+  renewLoan,
+  getMyLoans,
+  getOverdueLoans,
+  placeHold,
+  getMyHolds,
+  cancelHold
+} = require('../controllers/loanController');
+
+// Importar middleware de validación
+const {
+  loanValidationSchema,
+  validate,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Importar middleware de autenticación
+const { ensureAuthenticated, ensureAdmin } = require('../config/passport');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loans
+ *   description: Library lending, renewals and holds
+ */
+
+/**
+ * RUTAS ESPECIALES (deben ir antes que las rutas con parámetros)
+ */
+
+/**
+ * @swagger
+ * /api/loans/mine:
+ *   get:
+ *     summary: Get the current user's loans
+ *     tags: [Loans]
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [activo, devuelto]
+ *         description: Filter by loan status
+ *     responses:
+ *       200:
+ *         description: Loans of the authenticated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Loan'
+ *                 count:
+ *                   type: integer
+ *                 limits:
+ *                   type: object
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/mine',
+  ensureAuthenticated,
+  validate(loanValidationSchema.query, 'query'),
+  getMyLoans
+);
+
+/**
+ * @swagger
+ * /api/loans/overdue:
+ *   get:
+ *     summary: Get overdue loans (Admin only)
+ *     tags: [Loans]
+ *     description: Active loans past their due date, oldest first
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of overdue loans
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/overdue', ensureAdmin, getOverdueLoans);
+
+/**
+ * @swagger
+ * /api/loans/holds/mine:
+ *   get:
+ *     summary: Get the current user's holds
+ *     tags: [Loans]
+ *     description: Pending holds with their position in the queue (0 means a copy is set aside for the user)
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Holds of the authenticated user
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/holds/mine', ensureAuthenticated, getMyHolds);
+
+/**
+ * @swagger
+ * /api/loans/holds:
+ *   post:
+ *     summary: Place a hold on a book
+ *     tags: [Loans]
+ *     description: Joins the FIFO queue of a book with no copies available for lending. When a copy is returned, the first user in the queue is notified and the copy is set aside for them.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - book
+ *             properties:
+ *               book:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 description: Book MongoDB ObjectId
+ *     responses:
+ *       201:
+ *         description: Hold placed, returns the position in the queue
+ *       400:
+ *         description: Validation error or book not lendable
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Copies are available, or the user already has a hold or loan for this book
+ */
+router.post('/holds',
+  ensureAuthenticated,
+  validate(loanValidationSchema.create),
+  placeHold
+);
+
+/**
+ * @swagger
+ * /api/loans/holds/{id}:
+ *   delete:
+ *     summary: Cancel a hold
+ *     tags: [Loans]
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hold MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: Hold cancelled
+ *       400:
+ *         description: Invalid ID or hold no longer pending
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not the owner of the hold
+ *       404:
+ *         description: Hold not found
+ */
+router.delete('/holds/:id',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  cancelHold
+);
+
+/**
+ * RUTAS PRINCIPALES
+ */
+
+/**
+ * @swagger
+ * /api/loans:
+ *   post:
+ *     summary: Borrow a book
+ *     tags: [Loans]
+ *     description: Lends one copy of the book to the authenticated user. Fails if the user reached the loan limit (LOAN_MAX_ACTIVE) or no copy is free.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - book
+ *             properties:
+ *               book:
+ *                 type: string
+ *                 pattern: '^[0-9a-fA-F]{24}$'
+ *                 description: Book MongoDB ObjectId
+ *     responses:
+ *       201:
+ *         description: Loan created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Loan'
+ *       400:
+ *         description: Validation error or book not lendable
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: Loan limit reached, duplicate loan or no copies available
+ */
+router.post('/',
+  ensureAuthenticated,
+  validate(loanValidationSchema.create),
+  borrowBook
+);
+
+/**
+ * RUTAS CON PARÁMETROS ID
+ */
+
+/**
+ * @swagger
+ * /api/loans/{id}/return:
+ *   patch:
+ *     summary: Return a borrowed book
+ *     tags: [Loans]
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: Book returned
+ *       400:
+ *         description: Invalid ID or loan already returned
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not the owner of the loan
+ *       404:
+ *         description: Loan not found
+ */
+router.patch('/:id/return',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  returnLoan
+);
+
+/**
+ * @swagger
+ * /api/loans/{id}/renew:
+ *   patch:
+ *     summary: Renew a loan
+ *     tags: [Loans]
+ *     description: Extends the due date by one loan period. Not allowed for overdue loans, after LOAN_MAX_RENEWALS renewals, or when other users are waiting for the book.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: Loan renewed
+ *       400:
+ *         description: Invalid ID or loan already returned
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not the owner of the loan
+ *       404:
+ *         description: Loan not found
+ *       409:
+ *         description: Loan cannot be renewed
+ */
+router.patch('/:id/renew',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  renewLoan
+);
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+
+// Importar controladores
+const {
+  createOrder,
+  getMyOrders,
+  getOrderById,
+  getOrders
+} = require('../controllers/orderController');
+
+// Importar middleware de validación
+const {
+  orderValidationSchema,
+  validate,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Importar middleware de autenticación
+const { ensureAuthenticated, ensureAdmin } = require('../config/passport');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Orders
+ *   description: Order and checkout endpoints
+ */
+
+/**
+ * RUTAS ESPECIALES (deben ir antes que las rutas con parámetros)
+ */
+
+/**
+ * @swagger
+ * /api/orders/mine:
+ *   get:
+ *     summary: Get the current user's order history
+ *     tags: [Orders]
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Order history of the authenticated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/mine', ensureAuthenticated, getMyOrders);
+
+/**
+ * RUTAS PRINCIPALES
+ */
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: Get all orders (Admin only)
+ *     tags: [Orders]
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmado, enviado, entregado, cancelado]
+ *         description: Filter by order status
+ *     responses:
+ *       200:
+ *         description: Paginated list of orders
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/',
+  ensureAdmin,
+  validate(orderValidationSchema.query, 'query'),
+  getOrders
+);
+
+/**
+ * @swagger
+ * /api/orders:
+ *   post:
+ *     summary: Create an order (checkout)
+ *     tags: [Orders]
+ *     description: Creates an order from a cart. Prices are copied from the books at checkout time and stock is reduced for every line in a single transaction; if any line cannot be fulfilled, nothing is changed.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - book
+ *                     - quantity
+ *                   properties:
+ *                     book:
+ *                       type: string
+ *                       pattern: '^[0-9a-fA-F]{24}$'
+ *                       description: Book MongoDB ObjectId
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 100
+ *           example:
+ *             items:
+ *               - book: "60b4f1e5b6d4a4001f4e4e4e"
+ *                 quantity: 2
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: "Pedido creado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: One of the books does not exist
+ *       409:
+ *         description: A book is not available or has insufficient stock
+ */
+router.post('/',
+  ensureAuthenticated,
+  validate(orderValidationSchema.create),
+  createOrder
+);
+
+/**
+ * RUTAS CON PARÁMETROS ID
+ */
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get order by ID
+ *     tags: [Orders]
+ *     description: Only the owner of the order or an admin can see it
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Order MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       400:
+ *         description: Invalid order ID
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  getOrderById
+);
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+// mergeParams permite leer el :id del libro definido en bookRoutes
+const router = express.Router({ mergeParams: true });
+
+// Importar controladores
+const {
+  getBookReviews,
+  createReview,
+  updateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+
+// Importar middleware de validación
+const {
+  reviewValidationSchema,
+  validate,
+  validateObjectId,
+  validateQueryParams
+} = require('../middleware/validation');
+
+// Importar middleware de autenticación
+const { ensureAuthenticated } = require('../config/passport');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Book review endpoints
+ */
+
+/**
+ * @swagger
+ * /api/books/{id}/reviews:
+ *   get:
+ *     summary: Get reviews of a book
+ *     tags: [Reviews]
+ *     description: Paginated list of reviews for a book, newest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: Book MongoDB ObjectId
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: List of reviews with the book's current rating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 book:
+ *                   type: object
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid book ID
+ *       404:
+ *         description: Book not found
+ */
+router.get('/',
+  validateObjectId('id'),
+  validateQueryParams(),
+  getBookReviews
+);
+
+/**
+ * @swagger
+ * /api/books/{id}/reviews:
+ *   post:
+ *     summary: Create a review for a book
+ *     tags: [Reviews]
+ *     description: Each authenticated user can post one review per book. The book's averageRating and reviewCount are recalculated.
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Book MongoDB ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Imprescindible"
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: "Una lectura que recomiendo a todo el mundo."
+ *     responses:
+ *       201:
+ *         description: Review created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Book not found
+ *       409:
+ *         description: User already reviewed this book
+ */
+router.post('/',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  validate(reviewValidationSchema.create),
+  createReview
+);
+
+/**
+ * @swagger
+ * /api/books/{id}/reviews/{reviewId}:
+ *   put:
+ *     summary: Update a review
+ *     tags: [Reviews]
+ *     description: Only the author of the review or an admin can update it
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Book MongoDB ObjectId
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review MongoDB ObjectId
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       400:
+ *         description: Invalid ID or validation error
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not the author of the review and missing the reviews:moderate permission
+ *       404:
+ *         description: Review not found
+ */
+router.put('/:reviewId',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  validateObjectId('reviewId'),
+  validate(reviewValidationSchema.update),
+  updateReview
+);
+
+/**
+ * @swagger
+ * /api/books/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete a review
+ *     tags: [Reviews]
+ *     description: Only the author of the review or an admin can delete it
+ *     security:
+ *       - GoogleOAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Book MongoDB ObjectId
+ *       - in: path
+ *         name: reviewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Review MongoDB ObjectId
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not the author of the review and missing the reviews:moderate permission
+ *       404:
+ *         description: Review not found
+ */
+router.delete('/:reviewId',
+  ensureAuthenticated,
+  validateObjectId('id'),
+  validateObjectId('reviewId'),
+  deleteReview
+);
+
+module.exports = router;
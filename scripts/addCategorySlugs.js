@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Category = require('../models/category');
+
+console.log('🔗 Iniciando generación de slugs de categorías...');
+
+// Función para conectar a MongoDB
+const connectDB = async () => {
+  try {
+    console.log('🔄 Conectando a MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Conectado a MongoDB exitosamente');
+  } catch (error) {
+    console.error('❌ Error al conectar a MongoDB:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Función principal
+ * Propósito: Genera el slug de las categorías creadas antes de que existieran.
+ * Se guardan de a una para que cada slug tenga en cuenta los ya generados
+ */
+const addCategorySlugs = async () => {
+  try {
+    await connectDB();
+
+    const categories = await Category.find({ slug: { $exists: false } }).sort({ createdAt: 1 });
+    let updated = 0;
+
+    for (const category of categories) {
+      const changes = await category.getSlugChanges(category.name);
+      if (!changes) continue;
+
+      await Category.updateOne({ _id: category._id }, { $set: changes });
+      updated++;
+      console.log(`   ✏️  ${category.name} -> ${changes.slug}`);
+    }
+
+    console.log('\n📊 RESULTADO:');
+    console.log(`   📂 Categorías sin slug: ${categories.length}`);
+    console.log(`   ✅ Slugs generados: ${updated}`);
+
+  } catch (error) {
+    console.error('❌ Error durante la generación de slugs:', error.message);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Conexión a MongoDB cerrada');
+    } catch (closeError) {
+      console.error('Error al cerrar conexión:', closeError.message);
+    }
+    process.exit(0);
+  }
+};
+
+addCategorySlugs();
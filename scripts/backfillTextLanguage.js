@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Book = require('../models/book');
+
+console.log('🔤 Iniciando carga de textLanguage en los libros...');
+
+// Función para conectar a MongoDB
+const connectDB = async () => {
+  try {
+    console.log('🔄 Conectando a MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Conectado a MongoDB exitosamente');
+  } catch (error) {
+    console.error('❌ Error al conectar a MongoDB:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Función principal
+ * Propósito: Los libros guardados antes de que existiera textLanguage no lo tienen, y el
+ * índice de texto los indexa en español sin importar su idioma. Se calcula a partir de
+ * language (igual que al guardar un libro) con una actualización por idioma; los libros
+ * que ya tienen el valor correcto no se tocan, así que se puede ejecutar más de una vez
+ */
+const backfillTextLanguage = async () => {
+  try {
+    await connectDB();
+
+    // null incluye los libros sin idioma, que quedan con 'none'
+    const languages = await Book.collection.distinct('language');
+    if (!languages.includes(null)) {
+      languages.push(null);
+    }
+
+    let updated = 0;
+
+    for (const language of languages) {
+      const textLanguage = Book.textLanguageFor(language);
+
+      const result = await Book.collection.updateMany(
+        { language, textLanguage: { $ne: textLanguage } },
+        { $set: { textLanguage } }
+      );
+
+      if (result.modifiedCount > 0) {
+        updated += result.modifiedCount;
+        console.log(`   ✏️  ${language || '(sin idioma)'} -> ${textLanguage}: ${result.modifiedCount} libros`);
+      }
+    }
+
+    const total = await Book.collection.countDocuments();
+
+    console.log('\n📊 RESULTADO:');
+    console.log(`   📚 Libros revisados: ${total}`);
+    console.log(`   ✅ Libros actualizados: ${updated}`);
+
+  } catch (error) {
+    console.error('❌ Error durante la carga de textLanguage:', error.message);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Conexión a MongoDB cerrada');
+    } catch (closeError) {
+      console.error('Error al cerrar conexión:', closeError.message);
+    }
+    process.exit(0);
+  }
+};
+
+backfillTextLanguage();
@@ -110,6 +110,7 @@ const promoteToAdmin = async (email) => {
     console.log(`✅ Usuario ${email} promovido a administrador exitosamente`);
     console.log(`   - Nombre: ${user.name}`);
     console.log(`   - Rol: ${user.role}`);
+    console.log('💡 Con un administrador activo, los demás roles se asignan con PATCH /auth/users/:id/role');
     
   } catch (error) {
     console.error('❌ Error al promover usuario:', error.message);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Book = require('../models/book');
+const { toIsbn13 } = require('../utils/isbn');
+
+console.log('🔢 Iniciando normalización de ISBN a ISBN-13...');
+
+// Función para conectar a MongoDB
+const connectDB = async () => {
+  try {
+    console.log('🔄 Conectando a MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Conectado a MongoDB exitosamente');
+  } catch (error) {
+    console.error('❌ Error al conectar a MongoDB:', error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Función principal
+ * Propósito: Convierte los ISBN guardados antes de la normalización (ISBN-10 o con guiones)
+ * al ISBN-13 sin guiones. No modifica los libros cuyo ISBN no es válido ni los que
+ * chocarían con otro libro que ya tiene ese ISBN-13; solo los informa para revisarlos
+ */
+const normalizeIsbns = async () => {
+  try {
+    await connectDB();
+
+    // Se lee la colección directamente para ver el valor tal como está guardado
+    const books = await Book.collection
+      .find({}, { projection: { isbn: 1, title: 1 } })
+      .toArray();
+
+    const byIsbn = new Map(books.map(book => [book.isbn, book]));
+    let updated = 0;
+    const invalid = [];
+    const conflicts = [];
+
+    for (const book of books) {
+      const canonical = toIsbn13(book.isbn);
+
+      if (!canonical) {
+        invalid.push(book);
+        continue;
+      }
+
+      if (canonical === book.isbn) continue;
+
+      const other = byIsbn.get(canonical);
+      if (other && !other._id.equals(book._id)) {
+        conflicts.push({ book, other });
+        continue;
+      }
+
+      await Book.collection.updateOne({ _id: book._id }, { $set: { isbn: canonical } });
+      byIsbn.delete(book.isbn);
+      byIsbn.set(canonical, book);
+      updated++;
+      console.log(`   ✏️  ${book.isbn} -> ${canonical} (${book.title})`);
+    }
+
+    console.log('\n📊 RESULTADO:');
+    console.log(`   📚 Libros revisados: ${books.length}`);
+    console.log(`   ✅ ISBN normalizados: ${updated}`);
+
+    if (invalid.length > 0) {
+      console.log(`   ⚠️  ISBN no válidos (sin cambios): ${invalid.length}`);
+      invalid.forEach(book => console.log(`      - ${book._id} "${book.title}": ${book.isbn}`));
+    }
+
+    if (conflicts.length > 0) {
+      console.log(`   ⚠️  Libros duplicados por ISBN (sin cambios): ${conflicts.length}`);
+      conflicts.forEach(({ book, other }) => {
+        console.log(`      - ${book._id} "${book.title}" (${book.isbn}) es el mismo ISBN que ${other._id} "${other.title}"`);
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error durante la normalización:', error.message);
+  } finally {
+    try {
+      await mongoose.connection.close();
+      console.log('🔌 Conexión a MongoDB cerrada');
+    } catch (closeError) {
+      console.error('Error al cerrar conexión:', closeError.message);
+    }
+    process.exit(0);
+  }
+};
+
+normalizeIsbns();
@@ -3,6 +3,7 @@ require('dotenv').config();
 
 const Category = require('../models/category');
 const Book = require('../models/book');
+const StockMovement = require('../models/stockMovement');
 
 console.log('🌱 Iniciando script de datos de prueba...');
 
@@ -47,6 +48,7 @@ const seedDatabase = async () => {
     console.log('🧹 Limpiando base de datos...');
     await Book.deleteMany({});
     await Category.deleteMany({});
+    await StockMovement.deleteMany({});
     console.log('✅ Base de datos limpiada');
 
     // Crear categorías
@@ -78,8 +80,6 @@ const seedDatabase = async () => {
         price: 12.99,
         stock: 30,
         status: 'disponible',
-        averageRating: 4.7,
-        reviewCount: 950,
         isFeatured: true
       },
       {
@@ -95,8 +95,6 @@ const seedDatabase = async () => {
         price: 18.50,
         stock: 22,
         status: 'disponible',
-        averageRating: 4.6,
-        reviewCount: 2100,
         isFeatured: true
       },
       {
@@ -112,8 +110,6 @@ const seedDatabase = async () => {
         price: 45.99,
         stock: 20,
         status: 'disponible',
-        averageRating: 4.7,
-        reviewCount: 2500,
         isFeatured: true
       },
       {
@@ -129,8 +125,6 @@ const seedDatabase = async () => {
         price: 22.00,
         stock: 18,
         status: 'disponible',
-        averageRating: 4.5,
-        reviewCount: 800,
         isFeatured: true
       }
     ];
@@ -140,6 +134,20 @@ const seedDatabase = async () => {
     const createdBooks = await Book.insertMany(booksData);
     console.log(`✅ ${createdBooks.length} libros creados exitosamente`);
 
+    // Registrar el stock inicial en el historial de inventario
+    const createdMovements = await StockMovement.insertMany(
+      createdBooks
+        .filter(book => book.stock > 0)
+        .map(book => ({
+          book: book._id,
+          delta: book.stock,
+          resultingStock: book.stock,
+          operation: 'seed',
+          reason: 'Datos de prueba'
+        }))
+    );
+    console.log(`✅ ${createdMovements.length} movimientos de inventario registrados`);
+
     // Mostrar estadísticas finales
     const totalCategories = await Category.countDocuments({});
     const totalBooks = await Book.countDocuments({});
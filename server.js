@@ -30,6 +30,8 @@ const startServer = async () => {
       console.log(`🏥 Health check: http://localhost:${PORT}/health`);
       console.log(`📚 API Categorías: http://localhost:${PORT}/api/categories`);
       console.log(`📖 API Libros: http://localhost:${PORT}/api/books`);
+      console.log(`🛒 API Pedidos: http://localhost:${PORT}/api/orders`);
+      console.log(`📅 API Préstamos: http://localhost:${PORT}/api/loans`);
       console.log(`🔐 Autenticación: http://localhost:${PORT}/auth/google`);
       console.log(`👤 Estado de sesión: http://localhost:${PORT}/auth/status`);
       console.log(`📖 Documentación API: http://localhost:${PORT}/api-docs`);
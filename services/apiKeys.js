@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKey');
+const User = require('../models/user');
+const { apiKeyConfig } = require('../config/library');
+const { hasPermission } = require('../config/permissions');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Servicio de claves de API personales
+ * Propósito: Genera las claves, las valida en cada petición (encabezado X-API-Key) y
+ * decide qué permisos puede asignar cada usuario. Las claves tienen 256 bits aleatorios,
+ * por eso alcanza con un hash SHA-256 (sin sal) para guardarlas y buscarlas
+ */
+
+// Marca de las claves de esta API; ayuda a detectarlas si se filtran en un repositorio
+const KEY_PREFIX = 'dlk_';
+
+// Caracteres de la clave que se guardan para reconocerla en los listados
+const DISPLAY_LENGTH = KEY_PREFIX.length + 8;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Función para generar una clave nueva
+ * @returns {Object} { key, prefix, keyHash } - key se entrega al usuario una sola vez
+ */
+const generateApiKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, DISPLAY_LENGTH),
+    keyHash: hashApiKey(key)
+  };
+};
+
+/**
+ * Función para obtener los scopes que un usuario puede asignar a sus claves
+ * Propósito: Una clave nunca puede hacer más que su dueño, así que solo recibe
+ * permisos que el rol del usuario ya tiene
+ */
+const getUserScopes = (user) => apiKeyConfig.scopes.filter(scope => hasPermission(user, scope));
+
+/**
+ * Función para leer la clave del encabezado X-API-Key
+ * @returns {string|null}
+ */
+const getApiKey = (req) => {
+  const key = req.get('x-api-key');
+  return key ? key.trim() : null;
+};
+
+/**
+ * Función para validar una clave recibida
+ * Propósito: Lanza 401 si la clave no existe, fue revocada, expiró o su dueño está
+ * desactivado. Registra la fecha de último uso
+ * @returns {Promise<Object>} { apiKey, user }
+ */
+const verifyApiKey = async (key) => {
+  const apiKey = key.startsWith(KEY_PREFIX)
+    ? await ApiKey.findOne({ keyHash: hashApiKey(key) })
+    : null;
+
+  if (!apiKey || !apiKey.isActive) {
+    throw createError('La clave de API no es válida, fue revocada o expiró', 401);
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user || !user.isActive) {
+    throw createError('El usuario de la clave de API no existe o está desactivado', 401);
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+
+  return { apiKey, user };
+};
+
+module.exports = {
+  generateApiKey,
+  getUserScopes,
+  getApiKey,
+  verifyApiKey
+};
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Book = require('../models/book');
+const Category = require('../models/category');
+const StockMovement = require('../models/stockMovement');
+const { bookValidationSchema } = require('../middleware/validation');
+const { createError } = require('../middleware/errorHandler');
+const { STOCK_FIELDS } = require('../config/permissions');
+const { normalizeText } = require('../utils/text');
+const { toIsbn13 } = require('../utils/isbn');
+
+// Máximo de filas por importación
+const MAX_IMPORT_ROWS = 1000;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Función para crear el buscador de categorías de la importación
+ * Propósito: Carga las categorías una sola vez y permite resolver cada fila por ID
+ * o por nombre (sin distinguir mayúsculas ni tildes)
+ */
+const loadCategoryResolver = async () => {
+  const categories = await Category.find().select('name isActive');
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+  const byName = new Map(categories.map(category => [normalizeText(category.name.trim()), category]));
+
+  return (value) => {
+    const key = String(value).trim();
+    return OBJECT_ID_PATTERN.test(key) ? byId.get(key.toLowerCase()) : byName.get(normalizeText(key));
+  };
+};
+
+/**
+ * Función para validar una fila contra el esquema de creación
+ * Propósito: Para un libro que ya existe se validan sin valores por defecto, así las
+ * columnas que la fila no trae (stock, status) no pisan los datos guardados
+ * @returns {{value: Object, errors: Array<string>}}
+ */
+const validateRow = (row, category, { existing = false } = {}) => {
+  const { categoryName, ...data } = row;
+  const { error, value } = bookValidationSchema.create.validate(
+    { ...data, category: category ? category._id.toString() : data.category },
+    { abortEarly: false, stripUnknown: true, noDefaults: existing }
+  );
+
+  return {
+    value,
+    errors: error ? error.details.map(detail => detail.message) : []
+  };
+};
+
+/**
+ * Función para importar libros en lote
+ * Propósito: Valida cada fila con bookValidationSchema.create, resuelve la categoría
+ * por ID o nombre y crea los libros (o actualiza los existentes por ISBN si upsert
+ * está activo). Una fila rechazada no detiene al resto. Con dryRun solo se informa
+ * lo que pasaría, sin escribir en la base de datos
+ * @param {Array<Object>} rows - Filas a importar (objetos con los campos del libro)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Simular sin guardar
+ * @param {boolean} options.upsert - Actualizar los libros cuyo ISBN ya existe
+ * @param {string} options.userId - Usuario que importa (para el historial de stock)
+ * @param {boolean} options.canWriteStock - Si tiene stock:write; sin él se rechazan las filas
+ * que traen stock, status o totalCopies
+ * @returns {Promise<{summary: Object, rows: Array}>}
+ */
+const importBookRows = async (rows, { dryRun = false, upsert = false, userId, canWriteStock = false } = {}) => {
+  const resolveCategory = await loadCategoryResolver();
+
+  // Libros existentes con los ISBN del archivo, en una sola consulta
+  // (ISBN-13 canónico, para que 0-306-40615-2 y 9780306406157 sean el mismo libro)
+  const isbns = rows.map(row => row && toIsbn13(row.isbn)).filter(Boolean);
+  const existingBooks = await Book.find({ isbn: { $in: isbns } })
+    .select('isbn totalCopies availableCopies');
+  const existingByIsbn = new Map(existingBooks.map(book => [book.isbn, book]));
+
+  const seenIsbns = new Map();
+  const report = [];
+  const session = dryRun ? null : await mongoose.startSession();
+
+  try {
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + 1;
+
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        report.push({ row: rowNumber, status: 'rechazado', errors: ['La fila debe ser un objeto con los campos del libro'] });
+        continue;
+      }
+
+      const entry = { row: rowNumber, isbn: row.isbn, title: row.title };
+      const reject = (errors) => report.push({ ...entry, status: 'rechazado', errors });
+
+      // Misma regla que POST y PUT /api/books: el inventario solo se toca con stock:write
+      const stockFields = STOCK_FIELDS.filter(field => row[field] !== undefined);
+      if (stockFields.length > 0 && !canWriteStock) {
+        reject([`Se necesita el permiso stock:write para importar ${stockFields.join(', ')}`]);
+        continue;
+      }
+
+      // Resolver la categoría (columna category con ID o nombre, o columna categoryName)
+      const categoryValue = row.categoryName || row.category;
+      const category = categoryValue ? resolveCategory(categoryValue) : null;
+      if (categoryValue && !category) {
+        reject([`La categoría "${categoryValue}" no existe`]);
+        continue;
+      }
+      if (category && !category.isActive) {
+        reject([`La categoría "${category.name}" no está activa`]);
+        continue;
+      }
+
+      const existing = existingByIsbn.get(toIsbn13(row.isbn));
+
+      const { value, errors } = validateRow(row, category, { existing: Boolean(existing) });
+      if (errors.length > 0) {
+        reject(errors);
+        continue;
+      }
+
+      if (seenIsbns.has(value.isbn)) {
+        reject([`El ISBN ya aparece en la fila ${seenIsbns.get(value.isbn)}`]);
+        continue;
+      }
+      seenIsbns.set(value.isbn, rowNumber);
+
+      if (existing && !upsert) {
+        reject(['Ya existe un libro con este ISBN (use upsert=true para actualizarlo)']);
+        continue;
+      }
+
+      // Misma regla que updateBook: no se puede bajar de los ejemplares prestados
+      // (se vuelve a comprobar al guardar)
+      if (existing && value.totalCopies !== undefined) {
+        const copiesOnLoan = existing.totalCopies - existing.availableCopies;
+        if (value.totalCopies < copiesOnLoan) {
+          reject([`No se puede reducir a ${value.totalCopies} ejemplares: hay ${copiesOnLoan} prestados`]);
+          continue;
+        }
+      }
+
+      const status = existing ? 'actualizado' : 'creado';
+
+      if (dryRun) {
+        report.push({ ...entry, status, bookId: existing ? existing._id : undefined });
+        continue;
+      }
+
+      try {
+        let bookId;
+
+        // Cada fila se guarda junto con su movimiento de inventario
+        await session.withTransaction(async () => {
+          let delta = 0;
+          let resultingStock;
+
+          if (existing) {
+            // Solo cambia el stock si la fila trae la columna; el estado sigue la
+            // misma transición disponible/agotado que las demás operaciones de stock
+            const { totalCopies, ...bookData } = value;
+            const previous = await Book.updateWithStock(existing._id, bookData, { session });
+            if (!previous) {
+              throw createError('El libro se eliminó durante la importación', 404);
+            }
+            bookId = previous._id;
+
+            // Los disponibles se ajustan con la diferencia, sin pisar préstamos ni devoluciones simultáneos
+            if (totalCopies !== undefined && !await Book.setTotalCopiesById(bookId, totalCopies, { session })) {
+              throw createError(`No se puede reducir a ${totalCopies} ejemplares: hay más ejemplares prestados`, 400);
+            }
+            if (value.stock !== undefined) {
+              delta = value.stock - previous.stock;
+              resultingStock = value.stock;
+            }
+          } else {
+            const [book] = await Book.create([value], { session });
+            bookId = book._id;
+            delta = book.stock;
+            resultingStock = book.stock;
+          }
+
+          await StockMovement.record({
+            book: bookId,
+            delta,
+            resultingStock,
+            operation: 'import',
+            reason: 'Importación de catálogo',
+            user: userId
+          }, { session });
+        });
+
+        report.push({ ...entry, status, bookId });
+      } catch (error) {
+        if (error.statusCode) {
+          reject([error.message]);
+        } else if (error.name === 'ValidationError') {
+          reject(Object.values(error.errors).map(err => err.message));
+        } else if (error.code === 11000) {
+          reject(['Ya existe un libro con este ISBN']);
+        } else {
+          throw error;
+        }
+      }
+    }
+  } finally {
+    if (session) await session.endSession();
+  }
+
+  const countStatus = (status) => report.filter(entry => entry.status === status).length;
+
+  return {
+    summary: {
+      total: rows.length,
+      created: countStatus('creado'),
+      updated: countStatus('actualizado'),
+      rejected: countStatus('rechazado')
+    },
+    rows: report
+  };
+};
+
+module.exports = { importBookRows, MAX_IMPORT_ROWS };
@@ -0,0 +1,217 @@
+const { toCsvLine } = require('../utils/csv');
+const { exportConfig } = require('../config/library');
+
+/**
+ * Formatos de exportación del catálogo
+ * Propósito: Cada formato sabe escribir su encabezado, una línea por libro y su cierre,
+ * para que el controlador pueda enviar el catálogo en streaming sin cargarlo en memoria.
+ * Los libros llegan como objetos planos (lean) con categoryName ya resuelto
+ */
+
+// Columnas del CSV; coinciden con los campos de la importación para poder reimportarlo
+const CSV_COLUMNS = [
+  'isbn', 'title', 'author', 'description', 'category', 'publisher', 'publishedDate',
+  'pages', 'language', 'price', 'stock', 'status', 'totalCopies', 'availableCopies',
+  'averageRating', 'reviewCount', 'isFeatured', 'coverImage'
+];
+
+// Códigos ISO 639-2/B que usa ONIX para los idiomas del catálogo
+const ONIX_LANGUAGE_CODES = {
+  'español': 'spa',
+  'inglés': 'eng',
+  'francés': 'fre',
+  'alemán': 'ger',
+  'italiano': 'ita',
+  'portugués': 'por',
+  'otro': 'und'
+};
+
+// Disponibilidad ONIX (lista 65) según el estado del libro
+const ONIX_AVAILABILITY = {
+  disponible: '21', // En stock
+  agotado: '31', // Sin stock
+  descontinuado: '40', // No disponible
+  'próximamente': '10' // Aún no disponible
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+/**
+ * Función para escapar texto en XML
+ */
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const csvFormat = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  // BOM para que Excel abra el archivo como UTF-8
+  header: () => `\uFEFF${toCsvLine(CSV_COLUMNS)}`,
+  item: (book) => toCsvLine(CSV_COLUMNS.map((column) => {
+    if (column === 'category') return book.categoryName;
+    if (column === 'publishedDate') return formatDate(book.publishedDate);
+    return book[column];
+  })),
+  footer: () => ''
+};
+
+const jsonlFormat = {
+  contentType: 'application/x-ndjson; charset=utf-8',
+  extension: 'jsonl',
+  header: () => '',
+  item: (book) => {
+    const { categoryName, textLanguage, __v, ...data } = book;
+    return `${JSON.stringify({
+      ...data,
+      // null si su categoría se eliminó con force=true
+      category: book.category ? { _id: book.category, name: categoryName } : null
+    })}\n`;
+  },
+  footer: () => ''
+};
+
+/**
+ * Función para armar un Product de ONIX 3.0 (versión reducida)
+ * Propósito: Incluye identificador, título, autor, idioma, páginas, materia (categoría),
+ * descripción, editorial, fecha de publicación, disponibilidad, stock y precio
+ */
+const onixProduct = (book) => {
+  const isbn = String(book.isbn || '');
+  const lines = [
+    '  <Product>',
+    `    <RecordReference>${escapeXml(book._id)}</RecordReference>`,
+    '    <NotificationType>03</NotificationType>',
+    '    <ProductIdentifier>',
+    // 15 = ISBN-13, 02 = ISBN-10
+    `      <ProductIDType>${isbn.length === 13 ? '15' : '02'}</ProductIDType>`,
+    `      <IDValue>${escapeXml(isbn)}</IDValue>`,
+    '    </ProductIdentifier>',
+    '    <DescriptiveDetail>',
+    '      <ProductComposition>00</ProductComposition>',
+    '      <ProductForm>BA</ProductForm>',
+    '      <TitleDetail>',
+    '        <TitleType>01</TitleType>',
+    '        <TitleElement>',
+    '          <TitleElementLevel>01</TitleElementLevel>',
+    `          <TitleText>${escapeXml(book.title)}</TitleText>`,
+    '        </TitleElement>',
+    '      </TitleDetail>',
+    '      <Contributor>',
+    '        <SequenceNumber>1</SequenceNumber>',
+    '        <ContributorRole>A01</ContributorRole>',
+    `        <PersonName>${escapeXml(book.author)}</PersonName>`,
+    '      </Contributor>',
+    '      <Language>',
+    '        <LanguageRole>01</LanguageRole>',
+    `        <LanguageCode>${ONIX_LANGUAGE_CODES[book.language] || 'und'}</LanguageCode>`,
+    '      </Language>'
+  ];
+
+  if (book.pages) {
+    lines.push(
+      '      <Extent>',
+      '        <ExtentType>00</ExtentType>',
+      `        <ExtentValue>${book.pages}</ExtentValue>`,
+      '        <ExtentUnit>03</ExtentUnit>',
+      '      </Extent>'
+    );
+  }
+
+  if (book.categoryName) {
+    lines.push(
+      '      <Subject>',
+      '        <SubjectSchemeIdentifier>24</SubjectSchemeIdentifier>',
+      `        <SubjectSchemeName>${escapeXml(exportConfig.senderName)}</SubjectSchemeName>`,
+      `        <SubjectHeadingText>${escapeXml(book.categoryName)}</SubjectHeadingText>`,
+      '      </Subject>'
+    );
+  }
+
+  lines.push('    </DescriptiveDetail>');
+
+  if (book.description) {
+    lines.push(
+      '    <CollateralDetail>',
+      '      <TextContent>',
+      '        <TextType>03</TextType>',
+      '        <ContentAudience>00</ContentAudience>',
+      `        <Text>${escapeXml(book.description)}</Text>`,
+      '      </TextContent>',
+      '    </CollateralDetail>'
+    );
+  }
+
+  lines.push(
+    '    <PublishingDetail>',
+    '      <Publisher>',
+    '        <PublishingRole>01</PublishingRole>',
+    `        <PublisherName>${escapeXml(book.publisher)}</PublisherName>`,
+    '      </Publisher>'
+  );
+  if (book.publishedDate) {
+    lines.push(
+      '      <PublishingDate>',
+      '        <PublishingDateRole>01</PublishingDateRole>',
+      `        <Date>${formatDate(book.publishedDate).replace(/-/g, '')}</Date>`,
+      '      </PublishingDate>'
+    );
+  }
+  lines.push('    </PublishingDetail>');
+
+  lines.push(
+    '    <ProductSupply>',
+    '      <SupplyDetail>',
+    '        <Supplier>',
+    '          <SupplierRole>00</SupplierRole>',
+    `          <SupplierName>${escapeXml(exportConfig.senderName)}</SupplierName>`,
+    '        </Supplier>',
+    `        <ProductAvailability>${ONIX_AVAILABILITY[book.status] || '40'}</ProductAvailability>`,
+    '        <Stock>',
+    `          <OnHand>${book.stock || 0}</OnHand>`,
+    '        </Stock>',
+    '        <Price>',
+    '          <PriceType>01</PriceType>',
+    `          <PriceAmount>${Number(book.price).toFixed(2)}</PriceAmount>`,
+    `          <CurrencyCode>${escapeXml(exportConfig.currency)}</CurrencyCode>`,
+    '        </Price>',
+    '      </SupplyDetail>',
+    '    </ProductSupply>',
+    '  </Product>'
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+const onixFormat = {
+  contentType: 'application/xml; charset=utf-8',
+  extension: 'xml',
+  header: () => {
+    // Fecha de envío en formato ONIX: AAAAMMDDThhmm
+    const sentAt = new Date().toISOString().replace(/[-:]/g, '').slice(0, 13);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<ONIXMessage release="3.0" xmlns="http://ns.editeur.org/onix/3.0/reference">',
+      '  <Header>',
+      '    <Sender>',
+      `      <SenderName>${escapeXml(exportConfig.senderName)}</SenderName>`,
+      '    </Sender>',
+      `    <SentDateTime>${sentAt}</SentDateTime>`,
+      '  </Header>',
+      ''
+    ].join('\n');
+  },
+  item: onixProduct,
+  footer: () => '</ONIXMessage>\n'
+};
+
+const EXPORT_FORMATS = {
+  csv: csvFormat,
+  jsonl: jsonlFormat,
+  onix: onixFormat
+};
+
+module.exports = { EXPORT_FORMATS };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { toIsbn13 } = require('../utils/isbn');
+const { enrichmentConfig } = require('../config/library');
+
+/**
+ * Servicio de enriquecimiento de metadatos
+ * Propósito: Completa los datos de un libro a partir de su ISBN consultando un proveedor
+ * bibliográfico. Un proveedor es cualquier objeto con un método async lookup(isbn13)
+ * que devuelve los metadatos con los nombres de campo del libro (title, author,
+ * publisher, publishedDate, pages, language, description, coverImage) o null si no
+ * conoce el ISBN. Se puede reemplazar con setProvider()
+ */
+
+// Campos que un proveedor puede completar
+const ENRICHABLE_FIELDS = [
+  'title', 'author', 'publisher', 'publishedDate', 'pages', 'language', 'description', 'coverImage'
+];
+
+/**
+ * Proveedor basado en un archivo JSON local
+ * Propósito: Sustituto sin conexión para desarrollo. El archivo es un arreglo de
+ * registros con isbn (ISBN-10 o ISBN-13, con o sin guiones) y los campos del libro.
+ * Se lee la primera vez que se usa y queda en memoria
+ * @param {string} filePath - Ruta del archivo de metadatos
+ */
+const createFileProvider = (filePath) => {
+  let records = null;
+
+  const load = async () => {
+    if (!records) {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      records = new Map(JSON.parse(content)
+        .map(record => [toIsbn13(record.isbn), record])
+        .filter(([isbn]) => isbn));
+    }
+    return records;
+  };
+
+  return {
+    name: 'file',
+    lookup: async (isbn) => {
+      const catalog = await load();
+      return catalog.get(isbn) || null;
+    }
+  };
+};
+
+// Por ahora el único proveedor incluido es el de archivo (ENRICHMENT_FILE)
+let currentProvider = createFileProvider(enrichmentConfig.file);
+
+/**
+ * Función para reemplazar el proveedor activo
+ * Propósito: Permite conectar un servicio bibliográfico real sin tocar a quien lo usa
+ */
+const setProvider = (provider) => {
+  if (!provider || typeof provider.lookup !== 'function') {
+    throw new Error('El proveedor debe tener un método lookup(isbn)');
+  }
+  currentProvider = provider;
+};
+
+/**
+ * Función para comparar un valor actual con el sugerido
+ * Propósito: Las fechas se comparan por día y los textos sin espacios de sobra
+ */
+const sameValue = (current, suggested) => {
+  if (current instanceof Date || suggested instanceof Date) {
+    const day = (value) => new Date(value).toISOString().slice(0, 10);
+    return day(current) === day(suggested);
+  }
+  if (typeof current === 'string' && typeof suggested === 'string') {
+    return current.trim() === suggested.trim();
+  }
+  return current === suggested;
+};
+
+/**
+ * Función para enriquecer los datos de un libro
+ * Propósito: Consulta el proveedor con el ISBN y separa el resultado en:
+ * - filled: campos que faltaban y se completaron
+ * - suggestions: campos con un valor distinto al del proveedor (no se cambian)
+ * Los valores que envió el usuario siempre tienen prioridad
+ * @param {Object} bookData - Datos del libro (al menos isbn)
+ * @returns {Promise<Object>} { found, provider, isbn, metadata, data, filled, suggestions }
+ */
+const enrichBookData = async (bookData) => {
+  const isbn = toIsbn13(bookData.isbn);
+  const result = {
+    found: false,
+    provider: currentProvider.name,
+    isbn,
+    metadata: null,
+    data: { ...bookData },
+    filled: [],
+    suggestions: []
+  };
+
+  if (!isbn) return result;
+
+  const record = await currentProvider.lookup(isbn);
+  if (!record) return result;
+
+  // Solo los campos conocidos y con valor
+  const metadata = {};
+  ENRICHABLE_FIELDS.forEach((field) => {
+    if (record[field] !== undefined && record[field] !== null && record[field] !== '') {
+      metadata[field] = record[field];
+    }
+  });
+
+  result.found = true;
+  result.metadata = metadata;
+
+  Object.entries(metadata).forEach(([field, suggested]) => {
+    const current = bookData[field];
+
+    if (current === undefined || current === null || current === '') {
+      result.data[field] = suggested;
+      result.filled.push(field);
+    } else if (!sameValue(current, suggested)) {
+      result.suggestions.push({ field, current, suggested });
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  enrichBookData,
+  setProvider,
+  createFileProvider,
+  ENRICHABLE_FIELDS
+};
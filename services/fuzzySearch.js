@@ -0,0 +1,128 @@
+const Book = require('../models/book');
+const { normalizeText, tokenize, editDistance, allowedDistance, escapeRegex } = require('../utils/text');
+
+// Máximo de libros devueltos por la búsqueda aproximada
+const MAX_FUZZY_RESULTS = 50;
+
+// Límites de trabajo por búsqueda (es un endpoint público): palabras consideradas,
+// libros candidatos leídos de la base y comparaciones de distancia de edición
+const MAX_QUERY_WORDS = 5;
+const MAX_CANDIDATES = 500;
+const MAX_COMPARISONS = 50000;
+
+// Letras que normalizeText considera iguales (la ñ sigue siendo distinta de la n)
+const ACCENT_VARIANTS = {
+  a: 'aáàâäã',
+  e: 'eéèêë',
+  i: 'iíìîï',
+  o: 'oóòôöõ',
+  u: 'uúùûü',
+  c: 'cç'
+};
+
+/**
+ * Función para armar el filtro de candidatos en la base de datos
+ * Propósito: Solo se comparan en memoria los libros cuyo título o autor contiene el
+ * comienzo de alguna palabra buscada (2 letras en palabras cortas, 3 en las largas,
+ * sin distinguir tildes). Se asume que el error de tipeo no está en esas primeras letras
+ */
+const candidateFilter = (queryWords) => {
+  const patterns = queryWords.map(({ normalized }) => {
+    const prefix = normalized.slice(0, normalized.length <= 4 ? 2 : 3);
+    return [...prefix]
+      .map(letter => (ACCENT_VARIANTS[letter] ? `[${ACCENT_VARIANTS[letter]}]` : escapeRegex(letter)))
+      .join('');
+  });
+
+  const regex = { $regex: [...new Set(patterns)].join('|'), $options: 'i' };
+  return { $or: [{ title: regex }, { author: regex }] };
+};
+
+/**
+ * Función para elegir la distancia máxima de una sugerencia
+ * Propósito: La sugerencia admite un error más que la búsqueda, para proponer
+ * algo aun cuando ningún libro coincide
+ */
+const suggestionDistance = (word) => allowedDistance(word) + 1;
+
+/**
+ * Función de búsqueda aproximada de libros
+ * Propósito: Complementa al índice de texto cuando no hay coincidencias exactas.
+ * Compara cada palabra buscada (sin tildes) con las palabras del título y del autor
+ * de los candidatos que filtra la base de datos, y acepta las que estén a una
+ * distancia de edición pequeña. En la misma pasada
+ * arma la sugerencia "¿Quisiste decir...?" con la palabra más parecida del catálogo
+ * @param {string} term - Texto buscado
+ * @param {Object} filters - Filtros adicionales (categoría, idioma, precio)
+ * @returns {Promise<{ids: Array, suggestion: string|null}>}
+ */
+const fuzzySearchBooks = async (term, filters = {}) => {
+  const queryWords = tokenize(term)
+    .slice(0, MAX_QUERY_WORDS)
+    .map(word => ({ word, normalized: normalizeText(word) }));
+
+  if (queryWords.length === 0) {
+    return { ids: [], suggestion: null };
+  }
+
+  const matches = [];
+  // Mejor candidato por palabra buscada: { word, distance }
+  const bestWords = queryWords.map(() => null);
+
+  const candidates = await Book.find({ $and: [filters, candidateFilter(queryWords)] })
+    .select('title author')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  let comparisons = 0;
+
+  for (const book of candidates) {
+    const bookWords = tokenize(`${book.title} ${book.author}`)
+      .map(word => ({ word, normalized: normalizeText(word) }));
+
+    // Corta la búsqueda si ya se gastó el presupuesto de comparaciones
+    comparisons += bookWords.length * queryWords.length;
+    if (comparisons > MAX_COMPARISONS) break;
+
+    let totalDistance = 0;
+    let matchesAll = true;
+
+    queryWords.forEach((queryWord, index) => {
+      const maxSuggestion = suggestionDistance(queryWord.normalized);
+      let closest = maxSuggestion + 1;
+
+      bookWords.forEach((bookWord) => {
+        const distance = editDistance(queryWord.normalized, bookWord.normalized, maxSuggestion);
+        if (distance < closest) closest = distance;
+
+        const best = bestWords[index];
+        if (distance <= maxSuggestion && (!best || distance < best.distance)) {
+          bestWords[index] = { word: bookWord.word, distance };
+        }
+      });
+
+      if (closest > allowedDistance(queryWord.normalized)) {
+        matchesAll = false;
+      }
+      totalDistance += closest;
+    });
+
+    if (matchesAll) {
+      matches.push({ _id: book._id, distance: totalDistance });
+    }
+  }
+
+  matches.sort((a, b) => a.distance - b.distance);
+
+  // Solo se sugiere si al menos una palabra cambia y todas tienen candidato
+  const corrected = bestWords.every(Boolean) &&
+    bestWords.some((best, index) => best.word !== queryWords[index].word);
+  const suggestion = corrected ? bestWords.map(best => best.word).join(' ') : null;
+
+  return {
+    ids: matches.slice(0, MAX_FUZZY_RESULTS).map(match => match._id),
+    suggestion
+  };
+};
+
+module.exports = { fuzzySearchBooks };
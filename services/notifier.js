@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Servicio de notificaciones
+ * Propósito: Punto único para enviar avisos (stock bajo, reservas listas, etc.)
+ * Un notificador es cualquier objeto con un método async notify(event), donde
+ * event = { type, message, data }. Se puede reemplazar con setNotifier()
+ */
+
+/**
+ * Notificador por consola
+ * Propósito: Muestra los avisos en el log del servidor (uso local)
+ */
+const createConsoleNotifier = () => ({
+  name: 'console',
+  notify: async (event) => {
+    console.log(`🔔 [${event.type}] ${event.message}`);
+  }
+});
+
+/**
+ * Notificador por archivo
+ * Propósito: Agrega cada aviso como una línea JSON en un archivo
+ * @param {string} filePath - Ruta del archivo de avisos
+ */
+const createFileNotifier = (filePath) => ({
+  name: 'file',
+  notify: async (event) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const line = JSON.stringify({ ...event, timestamp: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+  }
+});
+
+/**
+ * Función para crear el notificador según el entorno
+ * Propósito: NOTIFIER=file escribe en NOTIFIER_FILE (por defecto logs/notifications.log);
+ * cualquier otro valor usa la consola
+ */
+const createDefaultNotifier = () => {
+  if (process.env.NOTIFIER === 'file') {
+    return createFileNotifier(process.env.NOTIFIER_FILE || path.join('logs', 'notifications.log'));
+  }
+  return createConsoleNotifier();
+};
+
+let currentNotifier = createDefaultNotifier();
+
+/**
+ * Función para reemplazar el notificador activo
+ * Propósito: Permite conectar otro canal (email, Slack, etc.) sin tocar a quien notifica
+ */
+const setNotifier = (notifier) => {
+  if (!notifier || typeof notifier.notify !== 'function') {
+    throw new Error('El notificador debe tener un método notify(event)');
+  }
+  currentNotifier = notifier;
+};
+
+/**
+ * Función para enviar un aviso
+ * Propósito: Un fallo del notificador nunca interrumpe la operación que lo disparó
+ */
+const notify = async (event) => {
+  try {
+    await currentNotifier.notify(event);
+  } catch (error) {
+    console.error(`Error en notificador ${currentNotifier.name || ''}:`, error.message);
+  }
+};
+
+module.exports = {
+  notify,
+  setNotifier,
+  createConsoleNotifier,
+  createFileNotifier
+};
@@ -0,0 +1,33 @@
+const { notify } = require('./notifier');
+
+/**
+ * Función para avisar cuando un libro cruza su punto de reorden
+ * Propósito: Notifica solo en el cruce (antes estaba por encima del umbral y ahora
+ * está en o por debajo), para no repetir el aviso en cada venta posterior
+ * @param {Object} book - Libro ya actualizado
+ * @param {number} previousStock - Stock antes del cambio
+ * @returns {Promise<boolean>} true si se envió el aviso
+ */
+const checkLowStock = async (book, previousStock) => {
+  const threshold = await book.getReorderThreshold();
+
+  if (previousStock > threshold && book.stock <= threshold) {
+    await notify({
+      type: 'low-stock',
+      message: `"${book.title}" bajó a ${book.stock} unidades (punto de reorden: ${threshold})`,
+      data: {
+        bookId: book._id,
+        title: book.title,
+        isbn: book.isbn,
+        previousStock,
+        stock: book.stock,
+        threshold
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+module.exports = { checkLowStock };
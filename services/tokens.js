@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RevokedToken = require('../models/revokedToken');
+const { tokenConfig } = require('../config/library');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Servicio de tokens JWT para clientes de la API (scripts, app móvil)
+ * Propósito: Emite tokens de acceso de corta duración y tokens de refresco que rotan en
+ * cada uso. Todos los tokens de un mismo inicio de sesión comparten una familia (fam),
+ * así el logout o la reutilización de un token de refresco los invalida a todos juntos
+ */
+
+const ACCESS = 'access';
+const REFRESH = 'refresh';
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const signToken = (payload, expiresIn) => jwt.sign(payload, tokenConfig.secret, {
+  expiresIn,
+  issuer: tokenConfig.issuer,
+  jwtid: crypto.randomUUID()
+});
+
+/**
+ * Función para verificar firma, expiración y tipo de un token
+ * Propósito: Lanza JsonWebTokenError o TokenExpiredError (los traduce el errorHandler)
+ */
+const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, tokenConfig.secret, { issuer: tokenConfig.issuer });
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Se esperaba un token de tipo ${type}`);
+  }
+  return payload;
+};
+
+/**
+ * Función para emitir un par de tokens
+ * @param {Object} user - Usuario autenticado
+ * @param {string} family - Familia a continuar (al rotar); se crea una nueva si no se indica
+ * @returns {Object} { tokenType, accessToken, expiresIn, refreshToken, refreshExpiresIn } (segundos)
+ */
+const issueTokens = (user, family = crypto.randomUUID()) => {
+  const subject = { sub: String(user._id), fam: family };
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signToken({ ...subject, type: ACCESS }, `${tokenConfig.accessTokenMinutes}m`),
+    expiresIn: tokenConfig.accessTokenMinutes * 60,
+    refreshToken: signToken({ ...subject, type: REFRESH }, `${tokenConfig.refreshTokenDays}d`),
+    refreshExpiresIn: tokenConfig.refreshTokenDays * 24 * 60 * 60
+  };
+};
+
+/**
+ * Función para revocar una familia de tokens
+ * Propósito: Invalida todos los tokens de acceso y de refresco de un inicio de sesión.
+ * La entrada dura lo mismo que el token de refresco más largo que pudo emitirse
+ */
+const revokeFamily = (family, userId, reason = 'logout') => RevokedToken.updateOne(
+  { family },
+  {
+    $setOnInsert: {
+      family,
+      user: userId,
+      reason,
+      expiresAt: daysFromNow(tokenConfig.refreshTokenDays)
+    }
+  },
+  { upsert: true }
+);
+
+/**
+ * Función para validar un token de acceso
+ * @returns {Promise<Object>} Contenido del token
+ */
+const verifyAccessToken = async (token) => {
+  const payload = verifyToken(token, ACCESS);
+
+  if (await RevokedToken.isRevoked(payload)) {
+    throw createError('El token fue revocado', 401);
+  }
+
+  return payload;
+};
+
+/**
+ * Función para consumir un token de refresco
+ * Propósito: Cada token de refresco sirve una sola vez: se agrega a la lista de revocados
+ * y quien lo usa recibe uno nuevo de la misma familia. Si llega uno ya usado, alguien
+ * más tiene una copia y se revoca la familia completa
+ * @returns {Promise<Object>} Contenido del token (sub y fam para emitir el siguiente par)
+ */
+const consumeRefreshToken = async (token) => {
+  const payload = verifyToken(token, REFRESH);
+
+  if (await RevokedToken.exists({ family: payload.fam })) {
+    throw createError('La sesión de este token fue cerrada', 401);
+  }
+
+  try {
+    // El índice único sobre jti hace que solo el primer uso pueda registrarlo
+    await RevokedToken.create({
+      jti: payload.jti,
+      user: payload.sub,
+      reason: 'rotado',
+      expiresAt: new Date(payload.exp * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      await revokeFamily(payload.fam, payload.sub, 'reutilizado');
+      throw createError('El token de refresco ya fue usado; por seguridad se cerró esa sesión', 401);
+    }
+    throw error;
+  }
+
+  return payload;
+};
+
+/**
+ * Función para obtener la familia de un token sin exigir que esté vigente
+ * Propósito: En el logout alcanza con que la firma sea válida; un token vencido o
+ * no válido simplemente no se revoca
+ * @returns {Object|null} { fam, sub }
+ */
+const readTokenFamily = (token) => {
+  try {
+    const payload = jwt.verify(token, tokenConfig.secret, {
+      issuer: tokenConfig.issuer,
+      ignoreExpiration: true
+    });
+    return payload.fam ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Función para leer el token del encabezado Authorization: Bearer
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return /^Bearer$/i.test(scheme) && token ? token : null;
+};
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  consumeRefreshToken,
+  revokeFamily,
+  readTokenFamily,
+  getBearerToken
+};
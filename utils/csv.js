@@ -0,0 +1,102 @@
+/**
+ * Utilidades CSV
+ * Propósito: Lectura y escritura de CSV (RFC 4180) sin dependencias externas
+ */
+
+/**
+ * Función para detectar el separador de un CSV
+ * Propósito: Las planillas en español suelen exportar con punto y coma
+ */
+const detectDelimiter = (headerLine) => {
+  const commas = (headerLine.match(/,/g) || []).length;
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Función para separar un CSV en filas y celdas
+ * Propósito: Respeta comillas dobles, comillas escapadas ("") y saltos de línea dentro de comillas
+ * @returns {Array<Array<string>>}
+ */
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV mal formado: hay comillas sin cerrar');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignorar líneas vacías
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Función para leer un CSV con encabezado
+ * Propósito: Convierte cada fila en un objeto cuyas claves son los nombres de columna.
+ * Las celdas vacías se omiten, para que cuenten como campos no enviados
+ * @param {string} text - Contenido del CSV
+ * @returns {Array<Object>}
+ */
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, ''); // Quitar BOM de Excel
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const [header, ...rows] = parseCsvRows(content, detectDelimiter(firstLine));
+
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map(cells => columns.reduce((record, column, index) => {
+    const value = (cells[index] || '').trim();
+    if (column && value !== '') record[column] = value;
+    return record;
+  }, {}));
+};
+
+/**
+ * Función para escribir una fila CSV
+ * Propósito: Entre comillas solo las celdas que lo necesitan (separador, comillas o saltos de línea)
+ * @param {Array} values - Valores de la fila (null/undefined se escriben vacíos)
+ * @returns {string} Línea terminada en CRLF
+ */
+const toCsvLine = (values) => `${values.map((value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')}\r\n`;
+
+module.exports = { parseCsv, toCsvLine };
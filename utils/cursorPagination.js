@@ -0,0 +1,157 @@
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Paginación por cursor (keyset)
+ * Propósito: Alternativa a skip/limit que no se degrada con páginas altas y no repite
+ * ni salta documentos cuando se insertan otros mientras el cliente navega.
+ * El cursor es opaco para el cliente: codifica los valores de orden del último
+ * (o primer) documento de la página, el orden usado y la dirección.
+ */
+
+/**
+ * Función para convertir un orden de Mongoose en una lista de claves
+ * Propósito: Acepta "-createdAt price" o { createdAt: -1, price: 1 } y agrega _id
+ * como desempate final, para que el orden sea total y el cursor siempre avance
+ * @returns {Array<[string, number]>} Pares [campo, 1 | -1]
+ */
+const parseSortKeys = (sort) => {
+  const entries = typeof sort === 'string'
+    ? sort.split(/[\s,]+/).filter(Boolean).map(key => (
+      key.startsWith('-') ? [key.slice(1), -1] : [key.replace(/^\+/, ''), 1]
+    ))
+    : Object.entries(sort).map(([field, direction]) => [field, Number(direction) < 0 ? -1 : 1]);
+
+  const keys = entries.filter(([field]) => field !== '_id');
+  const idEntry = entries.find(([field]) => field === '_id');
+  keys.push(['_id', idEntry ? idEntry[1] : 1]);
+  return keys;
+};
+
+/**
+ * Función para leer un campo de un documento (de Mongoose o lean)
+ */
+const readField = (doc, field) => {
+  const value = typeof doc.get === 'function'
+    ? doc.get(field)
+    : field.split('.').reduce((current, key) => (current == null ? current : current[key]), doc);
+  return value === undefined ? null : value;
+};
+
+const sortSignature = (sortKeys) => sortKeys.map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+/**
+ * Función para crear un cursor opaco
+ * @param {Object} doc - Documento de referencia (último de la página para 'next', primero para 'prev')
+ * @param {Array} sortKeys - Claves de orden de parseSortKeys
+ * @param {string} direction - 'next' o 'prev'
+ */
+const encodeCursor = (doc, sortKeys, direction) => {
+  const payload = {
+    s: sortSignature(sortKeys),
+    d: direction,
+    v: sortKeys.map(([field]) => readField(doc, field))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Función para leer un cursor
+ * Propósito: Rechaza con 400 cursores alterados o creados con otro orden
+ */
+const decodeCursor = (token, sortKeys) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createError('Cursor de paginación no válido', 400);
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== sortKeys.length ||
+      !['next', 'prev'].includes(payload.d)) {
+    throw createError('Cursor de paginación no válido', 400);
+  }
+
+  if (payload.s !== sortSignature(sortKeys)) {
+    throw createError('El cursor se generó con otro orden; vuelva a la primera página', 400);
+  }
+
+  return { values: payload.v, direction: payload.d };
+};
+
+/**
+ * Función para armar el filtro "después de este documento"
+ * Propósito: (k1 > v1) o (k1 = v1 y k2 > v2) o ... respetando la dirección de cada clave.
+ * Los null van primero en orden ascendente y últimos en descendente, como en MongoDB
+ */
+const buildKeysetFilter = (sortKeys, values) => {
+  const clauses = [];
+
+  sortKeys.forEach(([field, direction], index) => {
+    const value = values[index];
+    let after;
+
+    if (direction > 0) {
+      after = value === null ? { $ne: null } : { $gt: value };
+    } else {
+      // Descendente: valores menores y también los null/ausentes, que van al final
+      if (value === null) return;
+      after = { $not: { $gte: value } };
+    }
+
+    const clause = {};
+    sortKeys.slice(0, index).forEach(([previousField], previousIndex) => {
+      clause[previousField] = values[previousIndex];
+    });
+    clause[field] = after;
+    clauses.push(clause);
+  });
+
+  return clauses.length > 0 ? { $or: clauses } : { _id: null };
+};
+
+/**
+ * Función para ejecutar una consulta paginada por cursor
+ * Propósito: Aplica el filtro keyset, el orden y el límite a una consulta de Mongoose
+ * y devuelve la página junto con los cursores siguiente y anterior
+ * @param {Query} query - Consulta con filtros, population, etc. ya aplicados
+ * @param {Object} options
+ * @param {string|Object} options.sort - Orden de la consulta
+ * @param {string} options.cursor - Cursor recibido ('' para la primera página)
+ * @param {number} options.limit - Elementos por página
+ */
+const paginateWithCursor = async (query, { sort, cursor, limit }) => {
+  const sortKeys = parseSortKeys(sort);
+  const decoded = cursor ? decodeCursor(cursor, sortKeys) : null;
+  const backwards = decoded && decoded.direction === 'prev';
+
+  // Para retroceder se invierte el orden y luego se invierte la página obtenida
+  const querySortKeys = backwards
+    ? sortKeys.map(([field, direction]) => [field, -direction])
+    : sortKeys;
+
+  if (decoded) {
+    query.and([buildKeysetFilter(querySortKeys, decoded.values)]);
+  }
+
+  // Se pide un documento extra para saber si hay más en esa dirección
+  const docs = await query
+    .sort(Object.fromEntries(querySortKeys))
+    .limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) page.reverse();
+
+  const hasNextPage = backwards ? Boolean(decoded) : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(decoded);
+
+  return {
+    docs: page,
+    nextCursor: hasNextPage && page.length > 0 ? encodeCursor(page[page.length - 1], sortKeys, 'next') : null,
+    prevCursor: hasPrevPage && page.length > 0 ? encodeCursor(page[0], sortKeys, 'prev') : null,
+    hasNextPage,
+    hasPrevPage
+  };
+};
+
+module.exports = { paginateWithCursor };
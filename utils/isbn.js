@@ -0,0 +1,88 @@
+/**
+ * Utilidades de ISBN
+ * Propósito: Validación de dígito de control y conversión entre ISBN-10 e ISBN-13.
+ * Los libros se guardan siempre como ISBN-13 sin guiones
+ */
+
+/**
+ * Función para limpiar un ISBN
+ * Propósito: Quita guiones y espacios y pasa la X final a mayúscula ("0-306-40615-2" -> "0306406152")
+ */
+const cleanIsbn = (value) => String(value == null ? '' : value)
+  .replace(/[\s-]/g, '')
+  .toUpperCase();
+
+/**
+ * Función para validar un ISBN-10 limpio
+ * Propósito: La suma de cada dígito por su peso (10 a 1) debe ser múltiplo de 11; X vale 10
+ */
+const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((total, char, index) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return total + digit * (10 - index);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+/**
+ * Función para calcular el dígito de control de un ISBN-13
+ * @param {string} first12 - Los primeros 12 dígitos
+ */
+const isbn13CheckDigit = (first12) => {
+  const sum = first12.split('').reduce((total, char, index) => (
+    total + Number(char) * (index % 2 === 0 ? 1 : 3)
+  ), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Función para validar un ISBN-13 limpio
+ * Propósito: Prefijo 978 o 979 y dígito de control con pesos alternados 1 y 3
+ */
+const isValidIsbn13 = (isbn) => (
+  /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12]
+);
+
+/**
+ * Función para obtener el ISBN-13 canónico
+ * Propósito: Acepta ISBN-10 o ISBN-13 con o sin guiones
+ * @returns {string|null} ISBN-13 sin guiones, o null si el ISBN no es válido
+ */
+const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+
+  if (isValidIsbn13(isbn)) return isbn;
+
+  if (isValidIsbn10(isbn)) {
+    const first12 = `978${isbn.slice(0, 9)}`;
+    return first12 + isbn13CheckDigit(first12);
+  }
+
+  return null;
+};
+
+/**
+ * Función para obtener el ISBN-10 equivalente
+ * Propósito: Solo existe para ISBN-13 con prefijo 978; los 979 no tienen forma de 10 dígitos
+ * @returns {string|null}
+ */
+const toIsbn10 = (value) => {
+  const isbn13 = toIsbn13(value);
+  if (!isbn13 || !isbn13.startsWith('978')) return null;
+
+  const first9 = isbn13.slice(3, 12);
+  const sum = first9.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return first9 + (check === 10 ? 'X' : String(check));
+};
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  toIsbn13,
+  toIsbn10
+};
@@ -0,0 +1,91 @@
+/**
+ * Utilidades de texto
+ * Propósito: Normalización y comparación aproximada de texto para las búsquedas
+ */
+
+/**
+ * Función para normalizar texto
+ * Propósito: Pasa a minúsculas y quita tildes y diéresis ("Física" -> "fisica").
+ * La ñ se conserva porque en español es una letra distinta de la n
+ */
+const normalizeText = (text = '') => text
+  .toLowerCase()
+  .replace(/ñ/g, '\u0000')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\u0000/g, 'ñ');
+
+/**
+ * Función para separar un texto en palabras
+ * Propósito: Devuelve las palabras de al menos 2 caracteres, conservando la forma original
+ */
+const tokenize = (text = '') => text
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length >= 2);
+
+/**
+ * Función para calcular la distancia de edición (Levenshtein)
+ * Propósito: Número mínimo de inserciones, borrados o sustituciones para pasar de a a b.
+ * Se corta en cuanto la distancia supera max, para no recorrer palabras muy distintas
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Función para obtener la distancia de edición tolerada
+ * Propósito: Las palabras cortas no admiten errores; las largas admiten hasta 2
+ */
+const allowedDistance = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Función para escapar caracteres especiales de expresiones regulares
+ * Propósito: Permite usar texto del usuario dentro de un $regex de forma segura
+ */
+const escapeRegex = (text = '') => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Función para generar un slug apto para URL
+ * Propósito: Solo minúsculas, dígitos y guiones, sin tildes ni ñ
+ * ("Ciencia Ficción & Fantasía" -> "ciencia-ficcion-fantasia")
+ */
+const slugify = (text = '') => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60)
+  .replace(/-+$/, '');
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  editDistance,
+  allowedDistance,
+  escapeRegex,
+  slugify
+};